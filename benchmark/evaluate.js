@@ -0,0 +1,174 @@
+/**
+ * Tech Analyzer Benchmark - Corpus Evaluation
+ * Runs the snapshot analyzer over a labeled fixture corpus and scores the detections against the
+ * labels: per-technology precision and recall, and which fixtures were misclassified and why.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { analyzeSnapshot } from '../cli/analyze-snapshot.js';
+
+/**
+ * Read and check a corpus file
+ * @param {string} path - Path to corpus.json
+ * @returns {Promise<Object>} Corpus with `dir`, the directory fixture files are resolved against
+ */
+export async function loadCorpus(path) {
+  const absolute = resolve(path);
+  const corpus = JSON.parse(await readFile(absolute, 'utf8'));
+
+  if (!corpus || !Array.isArray(corpus.fixtures)) {
+    throw new Error(`${path}: expected an object with a fixtures array`);
+  }
+  corpus.fixtures.forEach((fixture, index) => {
+    if (typeof fixture.file !== 'string' || !Array.isArray(fixture.expected)) {
+      throw new Error(`${path}: fixture ${index + 1} needs a file and an expected array`);
+    }
+  });
+
+  return { ...corpus, dir: join(dirname(absolute), 'fixtures') };
+}
+
+/**
+ * Describe a finding (or near miss) in one line: score against threshold and the signal types that fired
+ * @param {Object|undefined} finding - Report framework or near-miss entry
+ * @returns {Object} { score, threshold, signals }
+ */
+function describeScore(finding) {
+  if (!finding) {
+    return { score: 0, threshold: null, signals: [] };
+  }
+  return {
+    score: finding.score,
+    threshold: finding.threshold,
+    signals: (finding.signals || []).filter(signal => signal.points > 0).map(signal => signal.type)
+  };
+}
+
+/**
+ * Analyze every fixture and compare the detected technologies with the labels
+ * @param {Object} corpus - Result of loadCorpus
+ * @param {Object} signatures - Signature database to evaluate
+ * @returns {Promise<Object[]>} Per fixture: { file, expected, detected, falsePositives, falseNegatives, error }
+ */
+export async function evaluateCorpus(corpus, signatures) {
+  const results = [];
+
+  for (const fixture of corpus.fixtures) {
+    const path = join(corpus.dir, fixture.file);
+    try {
+      const html = await readFile(path, 'utf8');
+      const report = await analyzeSnapshot(html, {
+        url: fixture.url || pathToFileURL(path).href,
+        signatures,
+        globals: fixture.globals || null,
+        headers: fixture.headers ? { url: fixture.url, headers: fixture.headers, assets: [] } : null
+      });
+
+      const detected = report.frameworks.map(finding => finding.name);
+      const find = (list, name) => list.find(finding => finding.name === name);
+      results.push({
+        file: fixture.file,
+        expected: fixture.expected,
+        detected,
+        falsePositives: detected
+          .filter(name => !fixture.expected.includes(name))
+          .map(name => ({ name, ...describeScore(find(report.frameworks, name)) })),
+        falseNegatives: fixture.expected
+          .filter(name => !detected.includes(name))
+          .map(name => ({ name, ...describeScore(find(report.nearMisses, name)) })),
+        error: null
+      });
+    } catch (error) {
+      results.push({ file: fixture.file, expected: fixture.expected, detected: [], falsePositives: [], falseNegatives: [], error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Precision, recall and F1 from counts; null where the ratio is undefined (nothing to measure)
+ * @param {Object} counts - { tp, fp, fn }
+ * @returns {Object} counts plus precision, recall, f1
+ */
+function withRates({ tp, fp, fn }) {
+  const precision = tp + fp > 0 ? tp / (tp + fp) : null;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : null;
+  const f1 = precision !== null && recall !== null && precision + recall > 0
+    ? 2 * precision * recall / (precision + recall)
+    : null;
+  return { tp, fp, fn, precision, recall, f1 };
+}
+
+/**
+ * Score evaluated fixtures per technology and overall (micro-averaged over all labels)
+ * @param {Object[]} results - Result of evaluateCorpus
+ * @returns {Object} { technologies: [{ name, tp, fp, fn, precision, recall, f1 }], overall, errors }
+ */
+export function computeMetrics(results) {
+  const counts = new Map();
+  const count = name => {
+    if (!counts.has(name)) counts.set(name, { tp: 0, fp: 0, fn: 0 });
+    return counts.get(name);
+  };
+
+  results.filter(result => !result.error).forEach(result => {
+    result.detected.forEach(name => {
+      count(name)[result.expected.includes(name) ? 'tp' : 'fp']++;
+    });
+    result.falseNegatives.forEach(({ name }) => count(name).fn++);
+  });
+
+  const technologies = [...counts.entries()]
+    .map(([name, counted]) => ({ name, ...withRates(counted) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const total = technologies.reduce((sum, entry) => ({
+    tp: sum.tp + entry.tp,
+    fp: sum.fp + entry.fp,
+    fn: sum.fn + entry.fn
+  }), { tp: 0, fp: 0, fn: 0 });
+
+  return {
+    technologies,
+    overall: withRates(total),
+    errors: results.filter(result => result.error).map(({ file, error }) => ({ file, error }))
+  };
+}
+
+/**
+ * Compare two evaluations of the same corpus (e.g. the bundled signatures and a candidate set)
+ * @param {Object} base - { results, metrics } for the baseline
+ * @param {Object} candidate - { results, metrics } for the candidate
+ * @returns {Object} { technologies: [{ name, base, candidate }] where anything changed, fixed, regressed }
+ */
+export function compareEvaluations(base, candidate) {
+  const byName = metrics => new Map(metrics.technologies.map(entry => [entry.name, entry]));
+  const baseByName = byName(base.metrics);
+  const candidateByName = byName(candidate.metrics);
+  const names = [...new Set([...baseByName.keys(), ...candidateByName.keys()])].sort((a, b) => a.localeCompare(b));
+  const empty = withRates({ tp: 0, fp: 0, fn: 0 });
+
+  const technologies = names
+    .map(name => ({ name, base: baseByName.get(name) || empty, candidate: candidateByName.get(name) || empty }))
+    .filter(({ base: before, candidate: after }) => ['tp', 'fp', 'fn'].some(key => before[key] !== after[key]));
+
+  // A misclassification is "fixed" when it's gone in the candidate and "regressed" when it's new
+  const mistakes = results => new Set(results.flatMap(result => [
+    ...result.falsePositives.map(({ name }) => `${result.file}\tfalse positive\t${name}`),
+    ...result.falseNegatives.map(({ name }) => `${result.file}\tfalse negative\t${name}`)
+  ]));
+  const baseMistakes = mistakes(base.results);
+  const candidateMistakes = mistakes(candidate.results);
+  const split = key => {
+    const [file, kind, name] = key.split('\t');
+    return { file, kind, name };
+  };
+
+  return {
+    technologies,
+    fixed: [...baseMistakes].filter(key => !candidateMistakes.has(key)).map(split),
+    regressed: [...candidateMistakes].filter(key => !baseMistakes.has(key)).map(split)
+  };
+}
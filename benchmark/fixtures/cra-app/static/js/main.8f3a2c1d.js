@@ -0,0 +1,3 @@
+/*! For license information please see main.8f3a2c1d.js.LICENSE.txt */
+!function(){"use strict";var e,t,n={},r={};function o(e){var t=r[e];if(void 0!==t)return t.exports;var a=r[e]={exports:{}};return n[e](a,a.exports,o),a.exports}o.m=n,o.u=function(e){return"static/js/"+e+"."+{787:"1a2b3c4d"}[e]+".chunk.js"},o.miniCssF=function(e){},o.p="/";var a=self.webpackChunkshop_frontend=self.webpackChunkshop_frontend||[];a.push=function(){}}();
+//# sourceMappingURL=main.8f3a2c1d.js.map
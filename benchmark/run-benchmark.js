@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+/**
+ * Tech Analyzer Benchmark
+ * Measures detection accuracy against the labeled fixture corpus and prints per-technology
+ * precision and recall with a summary of every misclassification. With --compare, evaluates a
+ * second signature set and shows what it fixes and what it breaks.
+ *
+ * Usage: node benchmark/run-benchmark.js [options]
+ */
+
+import { readFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { readBundledJSON } from '../cli/analyze-snapshot.js';
+import { SIGNATURES_PATH } from '../js/signatures.js';
+import { loadCorpus, evaluateCorpus, computeMetrics, compareEvaluations } from './evaluate.js';
+
+const DEFAULT_CORPUS = fileURLToPath(new URL('./corpus.json', import.meta.url));
+
+const USAGE = `Usage: node benchmark/run-benchmark.js [options]
+
+Analyzes every fixture in the corpus and reports how the detections match the labels.
+Exits with status 1 when a fixture is misclassified or fails to load.
+
+Options:
+  --corpus <file>        Corpus to use instead of benchmark/corpus.json
+  --signatures <file>    Signature database to evaluate instead of data/signatures.json
+  --compare <file>       Also evaluate this signature database and show the differences
+  --json                 Print the results as JSON
+  -h, --help             Show this help`;
+
+/**
+ * Format a rate as a fixed-width number, or a dash when it's undefined
+ * @param {number|null} rate - Value between 0 and 1
+ * @returns {string} e.g. "0.83" or "-"
+ */
+function formatRate(rate) {
+  return rate === null ? '-' : rate.toFixed(2);
+}
+
+/**
+ * Format a misclassified technology with the score that decided it
+ * @param {Object} entry - { name, score, threshold, signals }
+ * @returns {string} e.g. "jQuery (11/5: global, dom, file)"
+ */
+function formatMistake({ name, score, threshold, signals }) {
+  if (threshold === null) {
+    return `${name} (no signals)`;
+  }
+  return `${name} (${score}/${threshold}${signals.length > 0 ? `: ${signals.join(', ')}` : ''})`;
+}
+
+/**
+ * Render the per-technology table
+ * @param {Object} metrics - Result of computeMetrics
+ * @returns {string[]} Lines
+ */
+function formatMetrics(metrics) {
+  const rows = [
+    ...metrics.technologies,
+    { name: 'Overall', ...metrics.overall }
+  ];
+  const width = Math.max(10, ...rows.map(row => row.name.length));
+  const line = row => `${row.name.padEnd(width)}  ${[row.tp, row.fp, row.fn].map(n => String(n).padStart(3)).join(' ')}` +
+    `  ${[row.precision, row.recall, row.f1].map(rate => formatRate(rate).padStart(9)).join(' ')}`;
+
+  return [
+    `${'Technology'.padEnd(width)}   TP  FP  FN  Precision    Recall        F1`,
+    ...metrics.technologies.map(line),
+    '-'.repeat(width + 46),
+    line(rows[rows.length - 1])
+  ];
+}
+
+/**
+ * Render the confusion summary: every false positive and false negative per fixture
+ * @param {Object[]} results - Result of evaluateCorpus
+ * @returns {string[]} Lines
+ */
+function formatConfusion(results) {
+  const lines = [];
+  results.forEach(result => {
+    if (result.error) {
+      lines.push(`  ${result.file}: not analyzed (${result.error})`);
+      return;
+    }
+    if (result.falsePositives.length > 0) {
+      lines.push(`  ${result.file}: false positive ${result.falsePositives.map(formatMistake).join(', ')}`);
+    }
+    if (result.falseNegatives.length > 0) {
+      lines.push(`  ${result.file}: missed ${result.falseNegatives.map(formatMistake).join(', ')}`);
+    }
+  });
+  return lines.length > 0 ? lines : ['  No misclassifications.'];
+}
+
+/**
+ * Render the differences between two signature sets
+ * @param {Object} comparison - Result of compareEvaluations
+ * @param {Object} base - Baseline { metrics }
+ * @param {Object} candidate - Candidate { metrics }
+ * @returns {string[]} Lines
+ */
+function formatComparison(comparison, base, candidate) {
+  const change = (before, after) => `${formatRate(before)} -> ${formatRate(after)}`;
+  const lines = [
+    `Overall precision ${change(base.metrics.overall.precision, candidate.metrics.overall.precision)}, ` +
+      `recall ${change(base.metrics.overall.recall, candidate.metrics.overall.recall)}, ` +
+      `F1 ${change(base.metrics.overall.f1, candidate.metrics.overall.f1)}`
+  ];
+
+  comparison.technologies.forEach(({ name, base: before, candidate: after }) => {
+    lines.push(`  ${name}: precision ${change(before.precision, after.precision)}, recall ${change(before.recall, after.recall)}`);
+  });
+  comparison.fixed.forEach(({ file, kind, name }) => lines.push(`  fixed     ${file}: ${kind} ${name}`));
+  comparison.regressed.forEach(({ file, kind, name }) => lines.push(`  regressed ${file}: ${kind} ${name}`));
+
+  if (lines.length === 1) {
+    lines.push('  No fixture is classified differently.');
+  }
+  return lines;
+}
+
+/**
+ * Evaluate one signature database against the corpus
+ * @param {Object} corpus - Result of loadCorpus
+ * @param {string|undefined} path - Signature file, or undefined for the bundled database
+ * @returns {Promise<Object>} { signatures (label), results, metrics }
+ */
+async function runEvaluation(corpus, path) {
+  const signatures = path
+    ? JSON.parse(await readFile(resolve(path), 'utf8'))
+    : await readBundledJSON(SIGNATURES_PATH);
+  const results = await evaluateCorpus(corpus, signatures);
+  return { signatures: path || SIGNATURES_PATH, results, metrics: computeMetrics(results) };
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      corpus: { type: 'string' },
+      signatures: { type: 'string' },
+      compare: { type: 'string' },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const corpus = await loadCorpus(values.corpus || DEFAULT_CORPUS);
+  const base = await runEvaluation(corpus, values.signatures);
+  const candidate = values.compare ? await runEvaluation(corpus, values.compare) : null;
+  const comparison = candidate ? compareEvaluations(base, candidate) : null;
+
+  if (values.json) {
+    process.stdout.write(`${JSON.stringify({ fixtures: corpus.fixtures.length, base, candidate, comparison }, null, 2)}\n`);
+  } else {
+    const sections = [
+      `Detection benchmark: ${corpus.fixtures.length} fixtures, signatures ${base.signatures}`,
+      '',
+      ...formatMetrics(base.metrics),
+      '',
+      'Misclassifications (score/threshold: signal types that fired)',
+      ...formatConfusion(base.results)
+    ];
+    if (candidate) {
+      sections.push('', `Compared with ${candidate.signatures}`, ...formatComparison(comparison, base, candidate));
+    }
+    console.log(sections.join('\n'));
+  }
+
+  // The corpus is a gate: the base signatures must classify every fixture correctly
+  const misclassified = base.results.some(result => result.falsePositives.length > 0 || result.falseNegatives.length > 0);
+  return misclassified || [base, candidate].some(run => run && run.metrics.errors.length > 0) ? 1 : 0;
+}
+
+main().then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(error.message);
+  process.exitCode = 2;
+});
@@ -0,0 +1,156 @@
+/**
+ * Tech Analyzer CLI - Snapshot Analyzer
+ * Runs the extension's detection engine against a saved HTML snapshot in jsdom and returns the
+ * same report the extension exports. Scripts in the snapshot are never executed.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { detectFrameworks } from '../js/framework-detection.js';
+import { buildResourceInventory, listLinkedResources } from '../js/file-analyzer.js';
+import { inspectResources, summarizeInspection } from '../js/resource-inspector.js';
+import { collectSecurityData, evaluateSecurity } from '../js/security.js';
+import { collectMetadata, evaluateMetadata, MAX_JSON_LD_LENGTH } from '../js/metadata.js';
+import { annotateVulnerabilities } from '../js/advisories.js';
+import { listDetected } from '../js/signatures.js';
+import { buildReport } from '../js/export.js';
+
+/**
+ * Checks run against snapshots: everything the extension offers except debug logging
+ */
+export const SNAPSHOT_OPTIONS = {
+  jsFrameworks: true,
+  cssFrameworks: true,
+  styling: true,
+  buildTools: true,
+  services: true,
+  platforms: true,
+  infrastructure: true,
+  security: true,
+  metadata: true,
+  listJS: true,
+  listCSS: true,
+  debugMode: false
+};
+
+/**
+ * Why signals that need a live page are skipped for snapshots
+ */
+const SKIP_REASONS = {
+  globals: 'Runtime globals only exist in a live browser',
+  headers: 'Response headers are not part of an HTML snapshot'
+};
+
+/**
+ * Read a JSON file bundled with the extension
+ * @param {string} path - Path relative to the repository root
+ * @returns {Promise<Object>} Parsed JSON
+ */
+export async function readBundledJSON(path) {
+  return JSON.parse(await readFile(new URL(`../${path}`, import.meta.url), 'utf8'));
+}
+
+/**
+ * List every signal, version source and extractor that can't be evaluated against a snapshot
+ * @param {Object} signatures - Parsed signature database
+ * @param {Object} available - Which live-page inputs were supplied anyway: { globals, headers }
+ * @returns {Object[]} [{ name, category, signal, reason }]
+ */
+export function listSkippedSignals(signatures, available = {}) {
+  const skipped = [];
+  const reasons = {
+    globals: available.globals ? null : SKIP_REASONS.globals,
+    headers: available.headers ? null : SKIP_REASONS.headers
+  };
+
+  Object.entries(signatures.categories).forEach(([category, frameworks]) => {
+    frameworks.forEach(framework => {
+      const skip = (signal, reason) => {
+        if (reason) skipped.push({ name: framework.name, category, signal, reason });
+      };
+
+      framework.signals.forEach(signal => {
+        if (signal.type === 'global') skip('global', reasons.globals);
+        if (signal.type === 'header') skip('header', reasons.headers);
+        if (signal.type === 'dom' && signal.globalPaths) skip('dom.globalPaths', reasons.globals);
+      });
+      if (framework.version && framework.version.globals) skip('version.globals', reasons.globals);
+      if (framework.version && framework.version.headers) skip('version.headers', reasons.headers);
+      ['ids', 'components'].forEach(key => {
+        if ((framework[key] || []).some(extractor => extractor.global)) skip(`${key}.global`, reasons.globals);
+      });
+    });
+  });
+
+  return skipped;
+}
+
+/**
+ * Read a linked file for content inspection: local files from disk, nothing from the network
+ * @param {string} url - Resource URL
+ * @param {Object} limits - maxBytes
+ * @returns {Promise<Object>} { text, truncated }
+ */
+async function readLocalText(url, { maxBytes }) {
+  if (!url.startsWith('file:')) {
+    throw new Error('Remote file not read (offline)');
+  }
+  const text = await readFile(fileURLToPath(url), 'utf8');
+  return { text: text.slice(0, maxBytes), truncated: text.length > maxBytes };
+}
+
+/**
+ * Call a page-side function inside the jsdom window, as chrome.scripting.executeScript would
+ * @param {Object} window - jsdom window
+ * @param {Function} func - Self-contained function
+ * @param {Array} args - Arguments
+ * @returns {*} The function's return value
+ */
+function runInWindow(window, func, args = []) {
+  return window.eval(`(${func})`)(...args);
+}
+
+/**
+ * Analyze an HTML snapshot
+ * @param {string} html - Page source
+ * @param {Object} context - url (used to resolve relative links, e.g. the snapshot's file:// URL or
+ *   the page's original address), signatures, advisories (optional) and debugMode. Inputs a snapshot
+ *   lacks can be supplied when they were recorded elsewhere: globals (a probeGlobals summary) and
+ *   headers (a getTabHeaders record).
+ * @returns {Promise<Object>} Report (buildReport shape) plus `skipped`, the signals that need a live page
+ */
+export async function analyzeSnapshot(html, { url, signatures, advisories = null, debugMode = false, globals = null, headers = null }) {
+  const virtualConsole = new VirtualConsole();
+  if (debugMode) {
+    virtualConsole.forwardTo(console);
+  }
+  // 'outside-only' enables window.eval for the injected functions without running the page's own scripts
+  const { window } = new JSDOM(html, { url, virtualConsole, runScripts: 'outside-only' });
+  const options = { ...SNAPSHOT_OPTIONS, debugMode };
+  const analyzedAt = new Date().toISOString();
+
+  try {
+    const linked = runInWindow(window, listLinkedResources);
+    const inspected = await inspectResources(signatures, linked, debugMode, {}, readLocalText);
+
+    const findings = await runInWindow(window, detectFrameworks, [signatures, options, globals || {}, null, inspected, headers]);
+    if (advisories) {
+      annotateVulnerabilities(listDetected(findings), advisories);
+    }
+    findings.contentInspection = summarizeInspection(inspected);
+
+    findings.security = evaluateSecurity(runInWindow(window, collectSecurityData), headers, null);
+    findings.metadata = evaluateMetadata(runInWindow(window, collectMetadata, [MAX_JSON_LD_LENGTH]));
+
+    const inventory = runInWindow(window, buildResourceInventory, [{ scripts: true, stylesheets: true }, debugMode]);
+    findings.jsFiles = inventory.scripts;
+    findings.cssFiles = inventory.stylesheets;
+
+    // Round-trip through JSON so the result holds plain Node objects rather than jsdom-realm ones
+    const report = JSON.parse(JSON.stringify(buildReport(findings, { url, analyzedAt, options })));
+    return { ...report, skipped: listSkippedSignals(signatures, { globals: Boolean(globals), headers: Boolean(headers) }) };
+  } finally {
+    window.close();
+  }
+}
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * Tech Analyzer CLI
+ * Detects the technology stack of saved HTML snapshots, or directories of them, and prints the
+ * findings as the same JSON report the extension exports.
+ *
+ * Usage: tech-analyzer [options] <file-or-directory>...
+ */
+
+import { readFile, readdir, stat } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { analyzeSnapshot, readBundledJSON } from './analyze-snapshot.js';
+import { SIGNATURES_PATH } from '../js/signatures.js';
+import { ADVISORIES_PATH, validateAdvisories } from '../js/advisories.js';
+
+const USAGE = `Usage: tech-analyzer [options] <file-or-directory>...
+
+Analyzes saved HTML pages (.html, .htm; directories are searched recursively)
+and prints one JSON report per page (an array when there are several).
+
+Options:
+  --url <url>            Original address of the page, used to resolve relative links
+                         and first-/third-party hosts (single file only)
+  --signatures <file>    Signature database to use instead of data/signatures.json
+  --advisories <file>    Advisory database to use instead of data/advisories.json
+  --no-advisories        Don't check detected versions for known vulnerabilities
+  --compact              Print JSON on a single line
+  --debug                Print the detection engine's debug log to stderr
+  -h, --help             Show this help`;
+
+/**
+ * Expand files and directories into the list of HTML files to analyze
+ * @param {string[]} paths - Paths to expand
+ * @param {boolean} explicit - Whether the paths were named on the command line; files found in
+ *   directories must have an .html or .htm extension, named files are analyzed as they are
+ * @returns {Promise<string[]>} Absolute HTML file paths, sorted per directory
+ */
+async function findSnapshots(paths, explicit = true) {
+  const files = [];
+  for (const path of paths) {
+    const absolute = resolve(path);
+    if ((await stat(absolute)).isDirectory()) {
+      const entries = (await readdir(absolute)).sort();
+      files.push(...await findSnapshots(entries.map(entry => join(absolute, entry)), false));
+    } else if (explicit || /\.html?$/i.test(absolute)) {
+      files.push(absolute);
+    }
+  }
+  return files;
+}
+
+/**
+ * Read a JSON file given on the command line
+ * @param {string} path - File path
+ * @returns {Promise<Object>} Parsed JSON
+ */
+async function readJSONFile(path) {
+  return JSON.parse(await readFile(resolve(path), 'utf8'));
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      url: { type: 'string' },
+      signatures: { type: 'string' },
+      advisories: { type: 'string' },
+      'no-advisories': { type: 'boolean', default: false },
+      compact: { type: 'boolean', default: false },
+      debug: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help || positionals.length === 0) {
+    console.log(USAGE);
+    return values.help ? 0 : 2;
+  }
+
+  const signatures = values.signatures ? await readJSONFile(values.signatures) : await readBundledJSON(SIGNATURES_PATH);
+  let advisories = null;
+  if (!values['no-advisories']) {
+    advisories = values.advisories ? await readJSONFile(values.advisories) : await readBundledJSON(ADVISORIES_PATH);
+    validateAdvisories(advisories);
+  }
+
+  const files = await findSnapshots(positionals);
+  if (values.url && files.length !== 1) {
+    console.error('--url can only be used with a single file');
+    return 2;
+  }
+
+  // Debug logging goes to stderr so stdout stays valid JSON
+  if (values.debug) {
+    console.log = console.error;
+  }
+
+  const reports = [];
+  let failed = 0;
+  for (const file of files) {
+    try {
+      const html = await readFile(file, 'utf8');
+      const url = values.url || pathToFileURL(file).href;
+      reports.push(await analyzeSnapshot(html, { url, signatures, advisories, debugMode: values.debug }));
+    } catch (error) {
+      failed++;
+      console.error(`${file}: ${error.message}`);
+    }
+  }
+
+  // A single named file prints its report; anything else prints an array
+  const singleFile = positionals.length === 1 && !(await stat(resolve(positionals[0]))).isDirectory();
+  const output = singleFile ? reports[0] : reports;
+  if (output) {
+    process.stdout.write(`${JSON.stringify(output, null, values.compact ? 0 : 2)}\n`);
+  }
+  return failed > 0 ? 1 : 0;
+}
+
+main().then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(error.message);
+  process.exitCode = 2;
+});
@@ -1,2 +1,137 @@
-// This file is required by manifest.json for content_scripts, but MVP logic is injected by popup.js.
-// Keeping it empty for now to meet Chrome's requirements.
+/**
+ * Tech Analyzer Chrome Extension - Page Observer
+ * Content script started at document_start. Keeps a running record of scripts, stylesheets and
+ * framework root markers that appear after the initial load, including across client-side route
+ * changes, so analyzePage can report frameworks that mount or load lazily.
+ *
+ * Content scripts can't be ES modules, so this file is a plain script wrapped in an IIFE.
+ */
+
+(function() {
+  // Elements worth snapshotting when they appear: mount points and root attributes that
+  // frameworks add at runtime. The detection engine matches its own selectors against these.
+  const ROOT_MARKER_SELECTOR = [
+    '#__next', '#__nuxt', '#__layout', '[data-n-head]',
+    '[data-v-app]', '[data-server-rendered]',
+    '[ng-version]', '[ng-app]', '[data-ng-app]',
+    '[data-reactroot]', '[data-reactid]',
+    '.ember-application', '[data-ember-action]',
+    '[x-data]', '[data-chakra-component]'
+  ].join(',');
+
+  // Caps so long-lived single-page apps can't grow the record without bound
+  const MAX_RESOURCES = 500;
+  const MAX_MARKERS = 100;
+  const MAX_ROUTES = 50;
+
+  // Delay before rescanning the DOM after a burst of mutations
+  const SCAN_DELAY = 300;
+
+  const record = {
+    startedAt: new Date().toISOString(),
+    scripts: [],
+    stylesheets: [],
+    markers: [],
+    routes: [{ url: location.href, at: new Date().toISOString() }]
+  };
+
+  const seenScripts = new Set();
+  const seenStylesheets = new Set();
+  const seenMarkers = new Set();
+  let scanTimer = null;
+
+  // Add a resource URL to the record once
+  function addResource(list, seen, url, via) {
+    if (!url || seen.has(url) || list.length >= MAX_RESOURCES || !/^https?:/.test(url)) {
+      return;
+    }
+    seen.add(url);
+    list.push({ url, via, firstSeen: new Date().toISOString(), route: location.href });
+  }
+
+  // Snapshot a marker element's opening tag (no children) so selectors can be matched later
+  function addMarker(element) {
+    const html = element.cloneNode(false).outerHTML;
+    if (seenMarkers.has(html) || record.markers.length >= MAX_MARKERS) {
+      return;
+    }
+    seenMarkers.add(html);
+    record.markers.push({ html, firstSeen: new Date().toISOString(), route: location.href });
+  }
+
+  // Collect every script, stylesheet and root marker currently in the document
+  function scanDocument() {
+    scanTimer = null;
+    document.querySelectorAll('script[src]').forEach(script => {
+      addResource(record.scripts, seenScripts, script.src, 'dom');
+    });
+    document.querySelectorAll('link[rel~="stylesheet"][href]').forEach(link => {
+      addResource(record.stylesheets, seenStylesheets, link.href, 'dom');
+    });
+    document.querySelectorAll(ROOT_MARKER_SELECTOR).forEach(addMarker);
+  }
+
+  // Batch mutation bursts into a single scan
+  function scheduleScan() {
+    if (scanTimer === null) {
+      scanTimer = setTimeout(scanDocument, SCAN_DELAY);
+    }
+  }
+
+  // Record a client-side route change and rescan for what the new route mounted
+  function recordRoute() {
+    const last = record.routes[record.routes.length - 1];
+    if (last && last.url === location.href) {
+      return;
+    }
+    if (record.routes.length >= MAX_ROUTES) {
+      record.routes.shift();
+    }
+    record.routes.push({ url: location.href, at: new Date().toISOString() });
+    scheduleScan();
+  }
+
+  // Watch DOM insertions and attribute changes (root attributes are often set after mount)
+  new MutationObserver(scheduleScan).observe(document, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['ng-version', 'data-v-app', 'data-server-rendered', 'data-reactroot', 'id']
+  });
+
+  // Resource timing also sees scripts loaded without a <script> tag (dynamic import, workers)
+  // and stylesheets pulled in through @import. The 'css' initiator also covers fonts and
+  // images loaded through url(), so stylesheets are recognized by their .css path only
+  try {
+    new PerformanceObserver(list => {
+      list.getEntries().forEach(entry => {
+        const path = entry.name.split(/[?#]/)[0];
+        if (/\.css$/i.test(path)) {
+          addResource(record.stylesheets, seenStylesheets, entry.name, 'resource-timing');
+        } else if (entry.initiatorType === 'script' || /\.m?js$/i.test(path)) {
+          addResource(record.scripts, seenScripts, entry.name, 'resource-timing');
+        }
+      });
+    }).observe({ type: 'resource', buffered: true });
+  } catch (e) {
+    // PerformanceObserver unavailable - DOM scanning still applies
+  }
+
+  // Same-document navigations: the Navigation API covers pushState/replaceState routing
+  if (window.navigation) {
+    window.navigation.addEventListener('navigatesuccess', recordRoute);
+  }
+  window.addEventListener('popstate', recordRoute);
+  window.addEventListener('hashchange', recordRoute);
+
+  // Initial scan once the parser has built the document
+  document.addEventListener('DOMContentLoaded', scanDocument);
+
+  // Hand the record to analyzePage on request
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message && message.type === 'tech-analyzer:get-observed') {
+      scanDocument();
+      sendResponse(record);
+    }
+  });
+})();
@@ -0,0 +1,219 @@
+/**
+ * Tech Analyzer Chrome Extension - Vulnerability Advisories
+ * Matches detected library versions against an offline advisory database. The database is
+ * bundled with the extension and can be replaced by importing a newer JSON file.
+ */
+
+/**
+ * Location of the bundled advisory database inside the extension package
+ */
+export const ADVISORIES_PATH = 'data/advisories.json';
+
+/**
+ * chrome.storage.local key holding an imported advisory database, which replaces the bundled one
+ */
+export const IMPORTED_ADVISORIES_KEY = 'importedAdvisories';
+
+/**
+ * Advisory severities, most severe first
+ */
+export const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+// Cached load of the bundled file so repeated analyses don't re-read it
+let bundledPromise = null;
+
+/**
+ * Load the advisory database bundled with the extension
+ * @returns {Promise<Object>} Parsed advisory database
+ */
+function loadBundledAdvisories() {
+  if (!bundledPromise) {
+    bundledPromise = fetch(chrome.runtime.getURL(ADVISORIES_PATH))
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Could not load advisory database (${response.status})`);
+        }
+        return response.json();
+      })
+      .catch(error => {
+        // Allow a later analysis to retry the load
+        bundledPromise = null;
+        throw error;
+      });
+  }
+  return bundledPromise;
+}
+
+/**
+ * Load the active advisory database: the imported one if there is one, otherwise the bundled file
+ * @returns {Promise<Object>} Advisory database with a `source` field of 'imported' or 'bundled'
+ */
+export async function loadAdvisories() {
+  const { [IMPORTED_ADVISORIES_KEY]: imported } = await chrome.storage.local.get(IMPORTED_ADVISORIES_KEY);
+  if (imported) {
+    return { ...imported, source: 'imported' };
+  }
+  return { ...(await loadBundledAdvisories()), source: 'bundled' };
+}
+
+/**
+ * Check that parsed JSON has the shape of an advisory database
+ * @param {*} data - Parsed JSON
+ * @throws {Error} Describing the first problem found
+ */
+export function validateAdvisories(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.advisories)) {
+    throw new Error('Expected an object with an "advisories" array');
+  }
+  if (data.schemaVersion !== 1) {
+    throw new Error(`Unsupported schemaVersion ${data.schemaVersion}`);
+  }
+
+  data.advisories.forEach((advisory, index) => {
+    const where = `Advisory ${index + 1}`;
+    if (!advisory.library || typeof advisory.library !== 'string') {
+      throw new Error(`${where}: missing library name`);
+    }
+    if (!advisory.below && !advisory.atOrAbove) {
+      throw new Error(`${where}: needs a "below" or "atOrAbove" version`);
+    }
+    [advisory.below, advisory.atOrAbove].filter(Boolean).forEach(version => {
+      if (!parseVersion(version)) {
+        throw new Error(`${where}: invalid version "${version}"`);
+      }
+    });
+    if (!SEVERITIES.includes(advisory.severity)) {
+      throw new Error(`${where}: severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+    if (advisory.identifiers !== undefined && !Array.isArray(advisory.identifiers)) {
+      throw new Error(`${where}: identifiers must be an array`);
+    }
+  });
+}
+
+/**
+ * Replace the bundled advisory database with one imported from a JSON file
+ * @param {string} text - Contents of the JSON file
+ * @returns {Promise<number>} Number of advisories imported
+ * @throws {Error} When the file isn't valid JSON or not an advisory database
+ */
+export async function importAdvisories(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('File is not valid JSON');
+  }
+  validateAdvisories(data);
+
+  await chrome.storage.local.set({
+    [IMPORTED_ADVISORIES_KEY]: {
+      schemaVersion: data.schemaVersion,
+      updated: data.updated || new Date().toISOString().slice(0, 10),
+      advisories: data.advisories
+    }
+  });
+  return data.advisories.length;
+}
+
+/**
+ * Drop an imported advisory database and go back to the bundled one
+ */
+export async function resetAdvisories() {
+  await chrome.storage.local.remove(IMPORTED_ADVISORIES_KEY);
+}
+
+/**
+ * Split a version string into numeric parts and an optional pre-release tag, e.g. "3.5.0-rc.1"
+ * @param {string} version - Version string
+ * @returns {Object|null} { parts, prerelease }, or null when it doesn't start with a number
+ */
+function parseVersion(version) {
+  const match = /^v?(\d+(?:\.\d+)*)(?:[-+]?([0-9A-Za-z.-]+))?/.exec(String(version).trim());
+  if (!match) {
+    return null;
+  }
+  return { parts: match[1].split('.').map(Number), prerelease: match[2] || '' };
+}
+
+/**
+ * Compare two version strings. Missing parts count as 0 and a pre-release sorts
+ * before its release (3.5.0-rc.1 < 3.5.0).
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+export function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  const length = Math.max(left.parts.length, right.parts.length);
+
+  for (let i = 0; i < length; i++) {
+    const difference = (left.parts[i] || 0) - (right.parts[i] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  if (left.prerelease === right.prerelease) return 0;
+  if (!left.prerelease) return 1;
+  if (!right.prerelease) return -1;
+  return left.prerelease.localeCompare(right.prerelease);
+}
+
+/**
+ * Advisories that affect a library version
+ * @param {Object} database - Advisory database from loadAdvisories
+ * @param {string} library - Technology name as used in the signature database
+ * @param {string} version - Detected version
+ * @returns {Object[]} Matching advisories, most severe first
+ */
+export function findAdvisories(database, library, version) {
+  if (!version || !parseVersion(version)) {
+    return [];
+  }
+
+  return database.advisories
+    .filter(advisory => advisory.library.toLowerCase() === library.toLowerCase())
+    .filter(advisory => !advisory.atOrAbove || compareVersions(version, advisory.atOrAbove) >= 0)
+    .filter(advisory => !advisory.below || compareVersions(version, advisory.below) < 0)
+    .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
+
+/**
+ * Attach matching advisories to every detected technology with a known version.
+ * Each affected finding gets an `advisories` array of { severity, identifiers, summary, range }.
+ * @param {Object[]} detected - Findings from listDetected
+ * @param {Object} database - Advisory database from loadAdvisories
+ * @returns {number} Number of vulnerable technologies
+ */
+export function annotateVulnerabilities(detected, database) {
+  let vulnerable = 0;
+
+  detected.forEach(finding => {
+    const matches = findAdvisories(database, finding.name, finding.version);
+    if (matches.length === 0) {
+      return;
+    }
+    vulnerable++;
+    finding.advisories = matches.map(advisory => ({
+      severity: advisory.severity,
+      identifiers: advisory.identifiers || [],
+      summary: advisory.summary || '',
+      range: describeRange(advisory)
+    }));
+  });
+
+  return vulnerable;
+}
+
+/**
+ * Describe an advisory's affected range, e.g. ">=1.2.0 <3.5.0"
+ * @param {Object} advisory - Advisory entry
+ * @returns {string} Range description
+ */
+function describeRange(advisory) {
+  return [
+    advisory.atOrAbove ? `>=${advisory.atOrAbove}` : null,
+    advisory.below ? `<${advisory.below}` : null
+  ].filter(Boolean).join(' ');
+}
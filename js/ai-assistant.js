@@ -0,0 +1,314 @@
+/**
+ * Tech Analyzer Chrome Extension - AI Assistant
+ * Sends analysis findings to an OpenAI-compatible chat completions endpoint (a hosted API or a
+ * local server such as Ollama) and streams the answer back
+ */
+
+/**
+ * chrome.storage.local key holding the endpoint settings. Local storage is used rather than sync
+ * so the API key never leaves this browser profile.
+ */
+export const AI_SETTINGS_KEY = 'aiAssistant';
+
+/**
+ * Defaults point at a local Ollama server, which needs no API key
+ */
+export const DEFAULT_AI_SETTINGS = {
+  baseUrl: 'http://localhost:11434/v1',
+  model: '',
+  apiKey: '',
+  timeoutSeconds: 60
+};
+
+/**
+ * What went wrong when talking to the endpoint, so the UI can explain it
+ */
+export const AI_ERROR_KINDS = {
+  config: 'Not configured',
+  permission: 'No access to the endpoint',
+  unreachable: 'Endpoint unreachable',
+  auth: 'Authentication failed',
+  timeout: 'Timed out',
+  http: 'Request failed',
+  response: 'Unexpected response',
+  cancelled: 'Cancelled'
+};
+
+/**
+ * Instructions sent with every "Explain this stack" request
+ */
+const EXPLAIN_SYSTEM_PROMPT = 'You are a senior web engineer. You receive the technologies a browser extension ' +
+  'detected on a web page, as JSON with the evidence and confidence score of each detection. Explain the ' +
+  'stack in plain language: what each technology does on this site, how they fit together, and anything ' +
+  'notable such as outdated or vulnerable versions, failed security checks or doubtful detections. Be concise.';
+
+/**
+ * Create an error tagged with one of AI_ERROR_KINDS
+ * @param {string} kind - Error kind
+ * @param {string} message - Details for the user
+ * @returns {Error} Error with a `kind` property
+ */
+function createAIError(kind, message) {
+  const error = new Error(message);
+  error.kind = kind;
+  return error;
+}
+
+/**
+ * Load the endpoint settings merged over the defaults
+ * @returns {Promise<Object>} { baseUrl, model, apiKey, timeoutSeconds }
+ */
+export async function getAISettings() {
+  const { [AI_SETTINGS_KEY]: stored } = await chrome.storage.local.get(AI_SETTINGS_KEY);
+  return { ...DEFAULT_AI_SETTINGS, ...stored };
+}
+
+/**
+ * Save the endpoint settings
+ * @param {Object} settings - { baseUrl, model, apiKey, timeoutSeconds }
+ */
+export async function saveAISettings(settings) {
+  await chrome.storage.local.set({ [AI_SETTINGS_KEY]: settings });
+}
+
+/**
+ * Normalize a base URL as entered, e.g. "localhost:11434/v1/" to "http://localhost:11434/v1"
+ * @param {string} text - Base URL
+ * @returns {string} URL without a trailing slash
+ * @throws {Error} When it isn't an http(s) URL
+ */
+export function normalizeBaseUrl(text) {
+  const trimmed = text.trim().replace(/\/+$/, '');
+  const withScheme = /^[a-z]+:\/\//i.test(trimmed) ? trimmed : `http://${trimmed}`;
+  let url;
+  try {
+    url = new URL(withScheme);
+  } catch (error) {
+    throw createAIError('config', `"${text}" is not a valid URL`);
+  }
+  if (!/^https?:$/.test(url.protocol)) {
+    throw createAIError('config', 'The base URL must start with http:// or https://');
+  }
+  return withScheme;
+}
+
+/**
+ * Host permission pattern the extension needs to call the endpoint
+ * @param {string} baseUrl - Normalized base URL
+ * @returns {string} Origin pattern for chrome.permissions
+ */
+export function getEndpointOrigin(baseUrl) {
+  const { protocol, hostname } = new URL(baseUrl);
+  return `${protocol}//${hostname}/*`;
+}
+
+/**
+ * Reduce a report to the structured findings sent to the model
+ * @param {Object} report - Report from buildReport
+ * @returns {Object} URL, technologies with evidence and advisories, failed security checks and third-party hosts
+ */
+export function summarizeFindings(report) {
+  const files = [...report.files.js, ...report.files.css].filter(file => !file.inline);
+  return {
+    url: report.url,
+    analyzedAt: report.analyzedAt,
+    technologies: report.frameworks.map(finding => ({
+      name: finding.name,
+      category: finding.category,
+      version: finding.version,
+      confidence: `${finding.score}/${finding.threshold}`,
+      evidence: finding.signals.flatMap(signal => signal.evidence.map(item => `${signal.type}: ${item.match}`)).slice(0, 5),
+      ids: [...(finding.ids || []), ...(finding.components || [])].map(id => `${id.label}: ${id.value}`),
+      vulnerabilities: (finding.advisories || []).map(advisory => `${advisory.identifiers.join(', ')} (${advisory.severity}): ${advisory.summary}`)
+    })),
+    nearMisses: report.nearMisses.map(finding => `${finding.name} ${finding.score}/${finding.threshold}`),
+    securityIssues: report.security
+      .filter(check => check.status === 'fail' || check.status === 'warn')
+      .map(check => `[${check.status}] ${check.title}: ${check.summary}`),
+    thirdPartyHosts: [...new Set(files.filter(file => file.party === 'third').map(file => file.host))],
+    fileCounts: { scripts: report.files.js.length, stylesheets: report.files.css.length }
+  };
+}
+
+/**
+ * Chat messages for an "Explain this stack" request
+ * @param {Object} report - Report from buildReport
+ * @returns {Object[]} Messages in the chat completions format
+ */
+export function buildExplainMessages(report) {
+  return [
+    { role: 'system', content: EXPLAIN_SYSTEM_PROMPT },
+    { role: 'user', content: JSON.stringify(summarizeFindings(report), null, 2) }
+  ];
+}
+
+/**
+ * Turn a failed response into an error: authentication problems apart from other failures
+ * @param {Response} response - Fetch response with a non-2xx status
+ * @returns {Promise<Error>} Tagged error carrying the endpoint's own message when it sent one
+ */
+async function describeHttpError(response) {
+  let detail = '';
+  try {
+    const body = await response.text();
+    const parsed = JSON.parse(body);
+    const message = parsed.error && typeof parsed.error === 'object' ? parsed.error.message : parsed.error || parsed.message;
+    detail = typeof message === 'string' ? message : '';
+  } catch (error) {
+    // Not JSON; the status alone has to do
+  }
+  const suffix = detail ? `: ${detail}` : '';
+
+  if (response.status === 401 || response.status === 403) {
+    return createAIError('auth', `The endpoint rejected the API key (HTTP ${response.status})${suffix}`);
+  }
+  if (response.status === 404) {
+    return createAIError('http', `Not found (HTTP 404), check the base URL and model name${suffix}`);
+  }
+  return createAIError('http', `HTTP ${response.status}${suffix}`);
+}
+
+/**
+ * Call the endpoint with a timeout that restarts whenever data arrives, so long answers that keep
+ * streaming aren't cut off. Maps network failures, timeouts and cancellation to tagged errors.
+ * @param {Object} settings - Endpoint settings
+ * @param {string} path - Path below the base URL, e.g. "/chat/completions"
+ * @param {Object} init - fetch options (method, body)
+ * @param {AbortSignal|undefined} cancelSignal - Aborts the request when the user cancels
+ * @param {Function} handleResponse - Reads the successful response; given (response, resetTimeout)
+ * @returns {Promise<*>} What handleResponse returns
+ */
+async function callEndpoint(settings, path, init, cancelSignal, handleResponse) {
+  if (!settings.baseUrl) {
+    throw createAIError('config', 'Set the endpoint\'s base URL on the settings page first');
+  }
+  if (!(await chrome.permissions.contains({ origins: [getEndpointOrigin(settings.baseUrl)] }))) {
+    throw createAIError('permission', 'Save the endpoint settings again to grant access to this host');
+  }
+
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer = null;
+  const resetTimeout = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, settings.timeoutSeconds * 1000);
+  };
+  const cancel = () => controller.abort();
+  if (cancelSignal) {
+    cancelSignal.addEventListener('abort', cancel);
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (settings.apiKey) {
+    headers.Authorization = `Bearer ${settings.apiKey}`;
+  }
+
+  try {
+    resetTimeout();
+    let response;
+    try {
+      response = await fetch(`${settings.baseUrl}${path}`, { ...init, headers, credentials: 'omit', signal: controller.signal });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw createAIError('unreachable', `Could not connect to ${settings.baseUrl}. Is the server running?`);
+    }
+    if (!response.ok) {
+      throw await describeHttpError(response);
+    }
+    return await handleResponse(response, resetTimeout);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw timedOut
+        ? createAIError('timeout', `No response from the endpoint for ${settings.timeoutSeconds} second${settings.timeoutSeconds === 1 ? '' : 's'}`)
+        : createAIError('cancelled', 'Request cancelled');
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (cancelSignal) {
+      cancelSignal.removeEventListener('abort', cancel);
+    }
+  }
+}
+
+/**
+ * Send chat messages and stream the answer as it is generated
+ * @param {Object} settings - Endpoint settings
+ * @param {Object[]} messages - Chat messages
+ * @param {Object} handlers - onDelta(text) for each piece of the answer, signal to cancel
+ * @returns {Promise<string>} The complete answer
+ */
+export async function streamChatCompletion(settings, messages, { onDelta, signal } = {}) {
+  if (!settings.model) {
+    throw createAIError('config', 'Choose a model on the settings page first');
+  }
+  const body = JSON.stringify({ model: settings.model, messages, stream: true });
+
+  return callEndpoint(settings, '/chat/completions', { method: 'POST', body }, signal, async (response, resetTimeout) => {
+    // Servers that ignore `stream` answer with a single JSON completion
+    if (!(response.headers.get('content-type') || '').includes('text/event-stream')) {
+      const data = await response.json().catch(() => null);
+      const content = data && data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+      if (typeof content !== 'string') {
+        throw createAIError('response', 'The endpoint did not return a chat completion');
+      }
+      if (onDelta) onDelta(content);
+      return content;
+    }
+
+    // Server-sent events: one "data: {json}" line per chunk, ending with "data: [DONE]"
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let answer = '';
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      resetTimeout();
+      buffer += decoder.decode(value, { stream: true });
+
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const data = line.trim().replace(/^data:\s*/, '');
+        if (!line.trim().startsWith('data:') || data === '[DONE]') continue;
+
+        let chunk;
+        try {
+          chunk = JSON.parse(data);
+        } catch (error) {
+          throw createAIError('response', 'The endpoint sent a malformed stream');
+        }
+        if (chunk.error) {
+          throw createAIError('http', typeof chunk.error === 'string' ? chunk.error : chunk.error.message || 'The endpoint reported an error');
+        }
+        const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+        if (delta) {
+          answer += delta;
+          if (onDelta) onDelta(delta);
+        }
+      }
+    }
+
+    return answer;
+  });
+}
+
+/**
+ * Check that the endpoint is reachable and accepts the key by listing its models
+ * @param {Object} settings - Endpoint settings
+ * @returns {Promise<string[]>} Model ids the endpoint offers
+ */
+export function listModels(settings) {
+  return callEndpoint(settings, '/models', { method: 'GET' }, undefined, async response => {
+    const data = await response.json().catch(() => null);
+    if (!data || !Array.isArray(data.data)) {
+      throw createAIError('response', 'The endpoint did not return a model list');
+    }
+    return data.data.map(model => model.id);
+  });
+}
@@ -0,0 +1,145 @@
+/**
+ * Tech Analyzer Chrome Extension - Page Analyzer
+ * Injects the detection engine and file scanners into a tab and assembles their findings
+ */
+
+import { getGlobalPaths, listDetected } from './signatures.js';
+import { loadActiveSignatures } from './custom-signatures.js';
+import { detectFrameworks } from './framework-detection.js';
+import { probeGlobals } from './global-probe.js';
+import { buildResourceInventory, listLinkedResources } from './file-analyzer.js';
+import { inspectResources, getResourceOrigins, summarizeInspection } from './resource-inspector.js';
+import { getTabHeaders } from './headers.js';
+import { collectSecurityData, getScriptCookies, evaluateSecurity } from './security.js';
+import { collectMetadata, evaluateMetadata, MAX_JSON_LD_LENGTH } from './metadata.js';
+import { loadAdvisories, annotateVulnerabilities } from './advisories.js';
+
+/**
+ * Run a self-contained function inside a tab and return its result
+ * @param {number} tabId - Tab to run the function in
+ * @param {Function} func - Function to serialize and inject
+ * @param {Array} args - JSON-serializable arguments
+ * @param {string} world - 'ISOLATED' (content-script world) or 'MAIN' (the page's own world)
+ * @returns {Promise<*>} The function's (awaited) return value
+ */
+export async function runInTab(tabId, func, args = [], world = 'ISOLATED') {
+  const results = await chrome.scripting.executeScript({
+    target: { tabId },
+    func,
+    args,
+    world
+  });
+  return results && results[0] ? results[0].result : undefined;
+}
+
+/**
+ * Fetch the record the content-script observer (content.js) has kept since the page loaded
+ * @param {number} tabId - Tab to query
+ * @returns {Promise<Object|null>} Observed scripts, stylesheets, root markers and routes, or null
+ *   when the observer isn't running (e.g. the tab was opened before the extension was installed)
+ */
+export async function getObservedRecord(tabId) {
+  try {
+    return await chrome.tabs.sendMessage(tabId, { type: 'tech-analyzer:get-observed' });
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Find the origin patterns the extension has no host access to
+ * @param {string[]} origins - Origin patterns, e.g. "https://cdn.example.com/*"
+ * @returns {Promise<string[]>} The patterns not granted
+ */
+async function listDeniedOrigins(origins) {
+  const granted = await Promise.all(origins.map(origin => chrome.permissions.contains({ origins: [origin] })));
+  return origins.filter((origin, i) => !granted[i]);
+}
+
+/**
+ * Analyze the page loaded in a tab
+ * @param {number} tabId - Tab to analyze
+ * @param {Object} options - Selected analysis options
+ * @returns {Promise<Object>} Findings with frameworks and the script and stylesheet inventory
+ */
+export async function analyzePage(tabId, options) {
+  // Initialize results object
+  const findings = {
+    jsFrameworks: [],
+    cssFrameworks: [],
+    styling: [],
+    buildTools: [],
+    services: [],
+    platforms: [],
+    infrastructure: [],
+    security: [],
+    metadata: null,
+    contentInspection: null,
+    headersUnavailable: null,
+    jsFiles: [],
+    cssFiles: []
+  };
+  
+  // Response headers identify hosting, CDN and server software and feed the security checks
+  const headerResult = options.infrastructure || options.security ? await getTabHeaders(tabId) : { record: null, reason: null };
+  const headers = headerResult.record;
+  findings.headersUnavailable = headerResult.reason;
+  
+  // Detect frameworks using the shared signature database and the user's custom signatures
+  if (options.jsFrameworks || options.cssFrameworks || options.styling || options.buildTools || options.services || options.platforms || options.infrastructure) {
+    const signatures = await loadActiveSignatures();
+    
+    // Page globals are only visible from the main world; the engine scores against this summary
+    const globals = await runInTab(tabId, probeGlobals, [getGlobalPaths(signatures)], 'MAIN');
+    
+    // Merge in what loaded or mounted after document_idle, as recorded by content.js
+    const observed = await getObservedRecord(tabId);
+    
+    // Read linked scripts and stylesheets from the extension, where cross-origin files are readable,
+    // and match them against content signals before scoring
+    const linked = await runInTab(tabId, listLinkedResources);
+    if (observed) {
+      linked.scripts.push(...observed.scripts.map(item => item.url));
+      linked.stylesheets.push(...observed.stylesheets.map(item => item.url));
+    }
+    const inspected = await inspectResources(signatures, linked, options.debugMode);
+    
+    // Without host access, cross-origin fetches are bound by CORS; say which files went unread and why
+    const deniedOrigins = await listDeniedOrigins(getResourceOrigins(inspected.resources.map(resource => resource.url)));
+    findings.contentInspection = summarizeInspection(inspected, deniedOrigins);
+    
+    const frameworkFindings = await runInTab(tabId, detectFrameworks, [signatures, options, globals, observed, inspected, headers]);
+    Object.assign(findings, frameworkFindings);
+    
+    // Flag known-vulnerable versions from the offline advisory database
+    try {
+      annotateVulnerabilities(listDetected(findings), await loadAdvisories());
+    } catch (error) {
+      console.error('Could not check advisories:', error);
+    }
+  }
+  
+  // Check the page's security posture if requested
+  if (options.security) {
+    const pageData = await runInTab(tabId, collectSecurityData);
+    const tab = await chrome.tabs.get(tabId);
+    findings.security = evaluateSecurity(pageData, headers, await getScriptCookies(tab.url));
+  }
+  
+  // Read the title, description, social card tags, icons and structured data if requested
+  if (options.metadata) {
+    findings.metadata = evaluateMetadata(await runInTab(tabId, collectMetadata, [MAX_JSON_LD_LENGTH]));
+  }
+  
+  // Inventory scripts and stylesheets if requested
+  if (options.listJS || options.listCSS) {
+    const inventory = await runInTab(tabId, buildResourceInventory, [
+      { scripts: options.listJS, stylesheets: options.listCSS },
+      options.debugMode
+    ]);
+    findings.jsFiles = inventory.scripts;
+    findings.cssFiles = inventory.stylesheets;
+  }
+  
+  return findings;
+}
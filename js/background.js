@@ -0,0 +1,132 @@
+/**
+ * Tech Analyzer Chrome Extension - Background Service Worker
+ * Optional background mode: analyzes allowed pages when they finish loading, caches the
+ * result per tab and shows the number of detected technologies on the toolbar badge
+ */
+
+import { analyzePage } from './analyzer.js';
+import { listDetected } from './signatures.js';
+import { loadActiveSignatures } from './custom-signatures.js';
+import { getBackgroundSettings, isHostAllowed, BACKGROUND_ANALYSIS_OPTIONS, BACKGROUND_SETTINGS_KEY } from './settings.js';
+import { saveTabResult, clearTabResult } from './tab-results.js';
+import { recordResponseHeaders, clearTabHeaders } from './headers.js';
+
+// Badge colour when the primary framework has no badgeColor in the signature database
+const DEFAULT_BADGE_COLOR = '#0077cc';
+
+/**
+ * Find the badge colour of the primary (highest-scoring) technology, preferring JS frameworks,
+ * then CSS frameworks, platforms, third-party services, infrastructure, the styling toolchain and build tools
+ * @param {Object} findings - Findings returned by analyzePage
+ * @param {Object} signatures - Parsed signature database
+ * @returns {Object|null} Primary finding and its badge colour, or null if nothing was detected
+ */
+function getPrimaryTechnology(findings, signatures) {
+  const ranked = [findings.jsFrameworks, findings.cssFrameworks, findings.platforms, findings.services, findings.infrastructure, findings.styling, findings.buildTools]
+    .map(list => [...(list || [])].sort((a, b) => b.score - a.score))
+    .find(list => list.length > 0);
+  if (!ranked) {
+    return null;
+  }
+  
+  const primary = ranked[0];
+  const framework = (signatures.categories[primary.category] || []).find(item => item.name === primary.name);
+  return { finding: primary, color: (framework && framework.badgeColor) || DEFAULT_BADGE_COLOR };
+}
+
+/**
+ * Show a tab's detection count on the action badge, coloured after its primary framework
+ * @param {number} tabId - Tab id
+ * @param {Object} findings - Findings returned by analyzePage
+ */
+async function updateBadge(tabId, findings) {
+  const signatures = await loadActiveSignatures();
+  const technologies = listDetected(findings);
+  const primary = getPrimaryTechnology(findings, signatures);
+  
+  if (!primary) {
+    await chrome.action.setBadgeText({ tabId, text: '' });
+    await chrome.action.setTitle({ tabId, title: 'Tech Analyzer: no frameworks detected' });
+    return;
+  }
+  
+  const names = technologies.map(item => item.version ? `${item.name} ${item.version}` : item.name);
+  await chrome.action.setBadgeBackgroundColor({ tabId, color: primary.color });
+  await chrome.action.setBadgeText({ tabId, text: String(technologies.length) });
+  await chrome.action.setTitle({ tabId, title: `Tech Analyzer: ${names.join(', ')}` });
+}
+
+/**
+ * Clear a tab's badge and cached result
+ * @param {number} tabId - Tab id
+ */
+async function resetTab(tabId) {
+  await clearTabResult(tabId);
+  try {
+    await chrome.action.setBadgeText({ tabId, text: '' });
+    await chrome.action.setTitle({ tabId, title: '' });
+  } catch (e) {
+    // Tab already closed
+  }
+}
+
+/**
+ * Analyze a tab that finished loading, if background mode allows its host
+ * @param {Object} tab - Tab that finished loading
+ */
+async function analyzeLoadedTab(tab) {
+  const settings = await getBackgroundSettings();
+  if (!isHostAllowed(settings, tab.url)) {
+    return;
+  }
+  
+  // Without host access (not granted, or revoked since) injection would fail anyway
+  const { origin } = new URL(tab.url);
+  const hasAccess = await chrome.permissions.contains({ origins: [`${origin}/*`] });
+  if (!hasAccess) {
+    return;
+  }
+  
+  const analyzedAt = new Date().toISOString();
+  const options = { ...BACKGROUND_ANALYSIS_OPTIONS };
+  
+  try {
+    const findings = await analyzePage(tab.id, options);
+    await saveTabResult(tab.id, { url: tab.url, analyzedAt, options, findings });
+    await updateBadge(tab.id, findings);
+  } catch (error) {
+    // Pages can close or navigate away mid-analysis; the next load will retry
+    console.error(`Background analysis failed for ${tab.url}:`, error);
+  }
+}
+
+// A new navigation invalidates the cached result; a finished load triggers analysis
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.status === 'loading') {
+    resetTab(tabId);
+  } else if (changeInfo.status === 'complete') {
+    analyzeLoadedTab(tab);
+  }
+});
+
+chrome.tabs.onRemoved.addListener(tabId => {
+  clearTabResult(tabId);
+  clearTabHeaders(tabId);
+});
+
+// Keep the document and key asset headers of every tab for hosting and infrastructure detection.
+// Only hosts the extension has access to are reported.
+chrome.webRequest.onHeadersReceived.addListener(details => {
+  if (details.tabId >= 0 && (details.type !== 'main_frame' || details.frameId === 0)) {
+    recordResponseHeaders(details);
+  }
+}, { urls: ['<all_urls>'], types: ['main_frame', 'script', 'stylesheet'] }, ['responseHeaders']);
+
+// Turning background mode off clears every badge so stale counts don't linger
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  const change = changes[BACKGROUND_SETTINGS_KEY];
+  if (areaName !== 'local' || !change || (change.newValue && change.newValue.enabled)) {
+    return;
+  }
+  chrome.tabs.query({}, tabs => tabs.forEach(tab => resetTab(tab.id)));
+});
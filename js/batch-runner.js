@@ -0,0 +1,345 @@
+/**
+ * Tech Analyzer Chrome Extension - Batch Runner
+ * Analyzes a list of URLs, or crawls same-origin links from a start URL, in background tabs
+ * and aggregates the results across pages.
+ *
+ * collectLinks is injected through chrome.scripting.executeScript and must stay self-contained.
+ */
+
+import { analyzePage, runInTab } from './analyzer.js';
+import { buildComparison, comparisonToCSV, comparisonToMarkdown } from './comparison.js';
+import { buildReport, markdownCell } from './export.js';
+
+/**
+ * Identifier and version of the exported batch JSON format
+ */
+export const BATCH_SCHEMA = 'tech-analyzer-batch';
+export const BATCH_SCHEMA_VERSION = 1;
+
+/**
+ * Defaults for a batch run
+ */
+export const BATCH_DEFAULTS = {
+  concurrency: 2,
+  maxPages: 25,
+  depth: 1,
+  loadTimeoutMs: 30000,
+  // Wait after the load event so late-loading frameworks are mounted before analysis
+  settleMs: 1000
+};
+
+/**
+ * Upper bounds for user-entered limits
+ */
+export const BATCH_LIMITS = {
+  concurrency: 5,
+  maxPages: 500,
+  depth: 5
+};
+
+/**
+ * Parse a pasted URL list (one per line or whitespace separated), keeping valid http(s) URLs once
+ * @param {string} text - Raw URL list
+ * @returns {string[]} URLs without their hash
+ */
+export function parseUrlList(text) {
+  const urls = new Set();
+  text.split(/\s+/).filter(Boolean).forEach(item => {
+    try {
+      const url = new URL(item);
+      if (/^https?:$/.test(url.protocol)) {
+        url.hash = '';
+        urls.add(url.href);
+      }
+    } catch (e) {
+      // Not a URL - skip it
+    }
+  });
+  return [...urls];
+}
+
+/**
+ * Host patterns the extension needs access to for a set of URLs. Both schemes and the www and bare
+ * forms of each host are covered, so the usual redirects (http to https, example.com to
+ * www.example.com and back) stay on granted hosts.
+ * @param {string[]} urls - Page URLs
+ * @returns {string[]} Match patterns, e.g. "*://example.com/*" and "*://www.example.com/*"
+ */
+export function getBatchOrigins(urls) {
+  const patterns = new Set();
+  urls.forEach(url => {
+    const host = new URL(url).hostname.replace(/^www\./, '');
+    patterns.add(`*://${host}/*`);
+    // IP addresses and single-label hosts such as localhost have no www form
+    if (host.includes('.') && !/^[\d.]+$|^\[/.test(host)) {
+      patterns.add(`*://www.${host}/*`);
+    }
+  });
+  return Array.from(patterns);
+}
+
+/**
+ * List the same-origin links on the page, without hashes (injected into the tab)
+ * @returns {string[]} Absolute link URLs
+ */
+export function collectLinks() {
+  const links = new Set();
+  document.querySelectorAll('a[href]').forEach(anchor => {
+    try {
+      const url = new URL(anchor.href, location.href);
+      if (url.origin === location.origin) {
+        url.hash = '';
+        links.add(url.href);
+      }
+    } catch (e) {
+      // Ignore unparseable hrefs
+    }
+  });
+  return Array.from(links);
+}
+
+/**
+ * Wait until a tab has finished loading
+ * @param {number} tabId - Tab to watch
+ * @param {number} timeoutMs - How long to wait
+ * @returns {Promise<Object>} The loaded tab
+ */
+function waitForTabLoad(tabId, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+    };
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error('Timed out waiting for the page to load'));
+    }, timeoutMs);
+    const listener = (id, changeInfo, tab) => {
+      if (id === tabId && changeInfo.status === 'complete') {
+        cleanup();
+        resolve(tab);
+      }
+    };
+    chrome.tabs.onUpdated.addListener(listener);
+
+    // The load may already have finished before the listener was added
+    chrome.tabs.get(tabId).then(tab => {
+      if (tab.status === 'complete' && !tab.pendingUrl && tab.url !== 'about:blank') {
+        cleanup();
+        resolve(tab);
+      }
+    }).catch(error => {
+      cleanup();
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Open a page in a background tab, analyze it and close the tab again
+ * @param {string} url - Page to analyze
+ * @param {Object} options - Analysis options passed to analyzePage
+ * @param {Object} settings - Batch settings (loadTimeoutMs, settleMs)
+ * @param {boolean} followLinks - Also collect the page's same-origin links
+ * @param {Set<number>} openTabs - Tabs opened by the run, so cancelling can close them
+ * @returns {Promise<Object>} { url (after redirects), analyzedAt, findings, links }
+ */
+async function analyzeInBackgroundTab(url, options, settings, followLinks, openTabs) {
+  const tab = await chrome.tabs.create({ url, active: false });
+  openTabs.add(tab.id);
+
+  try {
+    const loaded = await waitForTabLoad(tab.id, settings.loadTimeoutMs);
+    await new Promise(resolve => setTimeout(resolve, settings.settleMs));
+
+    // A redirect to a host that wasn't granted would leave the analysis without data
+    const finalUrl = loaded.url || url;
+    if (/^https?:/.test(finalUrl) && !(await chrome.permissions.contains({ origins: [`${new URL(finalUrl).origin}/*`] }))) {
+      throw new Error(`Redirected to ${new URL(finalUrl).origin}, which the extension has no access to`);
+    }
+
+    const analyzedAt = new Date().toISOString();
+    const findings = await analyzePage(tab.id, options);
+    const links = followLinks ? await runInTab(tab.id, collectLinks) : [];
+    return { url: loaded.url || url, analyzedAt, findings, links: links || [] };
+  } finally {
+    openTabs.delete(tab.id);
+    chrome.tabs.remove(tab.id).catch(() => {});
+  }
+}
+
+/**
+ * Start a batch run. Pages are analyzed `concurrency` at a time; in crawl mode, links found on
+ * each page are queued (same origin, optionally under the start path) until `depth` or `maxPages`.
+ * @param {Object} job - { urls } for a list, or { startUrl, depth, samePath } to crawl
+ * @param {Object} options - Analysis options passed to analyzePage
+ * @param {Object} settings - Overrides for BATCH_DEFAULTS
+ * @param {Function} onProgress - Called with every page result and the run's counts
+ * @returns {Object} { done: Promise<Object[]> of page results, cancel() }
+ */
+export function runBatch(job, options, settings, onProgress = () => {}) {
+  const config = { ...BATCH_DEFAULTS, ...settings };
+  const crawl = Boolean(job.startUrl);
+  const openTabs = new Set();
+  const seen = new Set();
+  const queue = [];
+  const results = [];
+  let cancelled = false;
+  let active = 0;
+
+  // Crawls stay on the start page's origin and, optionally, under its directory; both follow the
+  // start page's redirect, if it had one
+  let scopeUrl = job.startUrl;
+  const inScope = url => !crawl || (new URL(url).origin === new URL(scopeUrl).origin &&
+    (!job.samePath || url.startsWith(new URL('.', scopeUrl).href)));
+
+  const enqueue = (url, depth) => {
+    if (seen.has(url) || seen.size >= config.maxPages || !inScope(url)) {
+      return;
+    }
+    seen.add(url);
+    queue.push({ url, depth });
+  };
+
+  (crawl ? [job.startUrl] : job.urls).forEach(url => enqueue(url, 0));
+
+  const record = result => {
+    results.push(result);
+    onProgress(result, { completed: results.length, total: seen.size, active, cancelled });
+  };
+
+  const worker = async () => {
+    while (!cancelled) {
+      // An empty queue may still be refilled by links from pages other workers are analyzing
+      if (queue.length === 0) {
+        if (active === 0) break;
+        await new Promise(resolve => setTimeout(resolve, 200));
+        continue;
+      }
+
+      const { url, depth } = queue.shift();
+      active++;
+      let result;
+      try {
+        const followLinks = crawl && depth < (job.depth ?? config.depth);
+        const page = await analyzeInBackgroundTab(url, options, config, followLinks, openTabs);
+        if (crawl && depth === 0) {
+          scopeUrl = page.url;
+        }
+        page.links.forEach(link => enqueue(link, depth + 1));
+        result = { status: 'done', requestedUrl: url, url: page.url, depth, analyzedAt: page.analyzedAt, findings: page.findings };
+      } catch (error) {
+        result = { status: cancelled ? 'cancelled' : 'error', requestedUrl: url, url, depth, error: error.message };
+      }
+      active--;
+      record(result);
+    }
+  };
+
+  // Start every worker and wait until the queue is drained (or the run is cancelled)
+  const done = Promise.all(Array.from({ length: Math.min(config.concurrency, BATCH_LIMITS.concurrency) }, worker))
+    .then(() => {
+      queue.splice(0).forEach(({ url, depth }) => {
+        results.push({ status: 'cancelled', requestedUrl: url, url, depth, error: 'Cancelled before it started' });
+      });
+      return results;
+    });
+
+  return {
+    done,
+    cancel() {
+      cancelled = true;
+      openTabs.forEach(tabId => chrome.tabs.remove(tabId).catch(() => {}));
+    }
+  };
+}
+
+/**
+ * Aggregate a batch run: a technology-by-page matrix plus, for each page, how it differs
+ * from the majority of pages
+ * @param {Object[]} results - Page results from runBatch
+ * @returns {Object} { comparison, reports, deviations: [{ url, missing, extra, versions }], failures }
+ */
+export function aggregateBatch(results) {
+  const analyzed = results.filter(result => result.status === 'done');
+  const reports = analyzed.map(result => buildReport(result.findings, {
+    url: result.url,
+    analyzedAt: result.analyzedAt,
+    options: null
+  }));
+  const comparison = buildComparison(reports);
+
+  const deviations = comparison.sites.map((site, column) => {
+    const deviation = { url: site.url, missing: [], extra: [], versions: [] };
+    // Evenly split rows have no majority to differ from; the matrix still marks them as differing
+    comparison.rows.filter(row => !row.tied).forEach(row => {
+      const cell = row.cells[column];
+      if (!cell && row.majority !== null) {
+        deviation.missing.push(row.name);
+      } else if (cell && row.majority === null) {
+        deviation.extra.push(row.name);
+      } else if (cell && cell.odd) {
+        deviation.versions.push(`${row.name} ${cell.version || 'detected'} (most pages: ${row.majority})`);
+      }
+    });
+    return deviation;
+  }).filter(deviation => deviation.missing.length + deviation.extra.length + deviation.versions.length > 0);
+
+  return {
+    comparison,
+    reports,
+    deviations,
+    failures: results.filter(result => result.status !== 'done')
+      .map(({ status, requestedUrl, error }) => ({ url: requestedUrl, status, error }))
+  };
+}
+
+/**
+ * Serialize an aggregate as versioned JSON with every page's report
+ * @param {Object} aggregate - Result of aggregateBatch
+ * @returns {string} JSON text
+ */
+export function batchToJSON(aggregate) {
+  return JSON.stringify({
+    schema: BATCH_SCHEMA,
+    schemaVersion: BATCH_SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    ...aggregate
+  }, null, 2);
+}
+
+/**
+ * Serialize an aggregate as CSV: the technology-by-page matrix
+ * @param {Object} aggregate - Result of aggregateBatch
+ * @returns {string} CSV text
+ */
+export function batchToCSV(aggregate) {
+  return comparisonToCSV(aggregate.comparison);
+}
+
+/**
+ * Serialize an aggregate as Markdown: the matrix, pages that differ from the majority and failures
+ * @param {Object} aggregate - Result of aggregateBatch
+ * @returns {string} Markdown text
+ */
+export function batchToMarkdown(aggregate) {
+  const lines = [comparisonToMarkdown(aggregate.comparison).replace(/^# .*/, '# Tech Analyzer batch report')];
+
+  if (aggregate.deviations.length > 0) {
+    lines.push('## Pages that differ from the majority', '', '| Page | Missing | Extra | Different versions |', '|---|---|---|---|');
+    aggregate.deviations.forEach(deviation => {
+      lines.push(`| ${markdownCell(deviation.url)} | ${markdownCell(deviation.missing.join(', '))} | ${markdownCell(deviation.extra.join(', '))} | ${markdownCell(deviation.versions.join('; '))} |`);
+    });
+    lines.push('');
+  }
+
+  if (aggregate.failures.length > 0) {
+    lines.push('## Pages not analyzed', '', '| Page | Status | Error |', '|---|---|---|');
+    aggregate.failures.forEach(failure => {
+      lines.push(`| ${markdownCell(failure.url)} | ${failure.status} | ${markdownCell(failure.error)} |`);
+    });
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
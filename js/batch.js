@@ -0,0 +1,208 @@
+/**
+ * Tech Analyzer Chrome Extension - Batch Analysis Page
+ * Runs analyzePage over a URL list or a same-origin crawl and shows the aggregate report
+ */
+
+import { initializeTheme, toggleTheme, showToast, escapeHTML } from './utils.js';
+import { saveAnalysis } from './history.js';
+import { downloadText, fileStamp, EXPORT_FORMATS } from './export.js';
+import { BACKGROUND_ANALYSIS_OPTIONS } from './settings.js';
+import { renderComparisonTable } from './comparison.js';
+import {
+  BATCH_DEFAULTS, BATCH_LIMITS, parseUrlList, getBatchOrigins, runBatch, aggregateBatch,
+  batchToCSV, batchToMarkdown, batchToJSON
+} from './batch-runner.js';
+
+(function() {
+  // The run in progress ({ done, cancel }) and the aggregate of the last finished run
+  let currentRun = null;
+  let currentAggregate = null;
+
+  document.addEventListener('DOMContentLoaded', () => {
+    initializeTheme();
+
+    document.getElementById('theme-toggle').addEventListener('click', toggleTheme);
+    document.getElementById('batch-form').addEventListener('submit', handleStart);
+    document.getElementById('batch-form').addEventListener('change', updateModeFields);
+    document.getElementById('cancel-batch').addEventListener('click', handleCancel);
+    document.querySelectorAll('.export-button').forEach(button => {
+      button.addEventListener('click', () => exportAggregate(button.dataset.format));
+    });
+  });
+
+  // Show the fields of the selected mode (URL list or crawl)
+  function updateModeFields() {
+    const mode = document.getElementById('batch-form').elements.mode.value;
+    document.querySelectorAll('[data-mode]').forEach(section => {
+      section.hidden = section.dataset.mode !== mode;
+    });
+  }
+
+  // Clamp a numeric field to 1 (or 0) .. max, falling back to the default
+  function readNumber(input, fallback, max, min = 1) {
+    const value = parseInt(input.value, 10);
+    return Number.isNaN(value) ? fallback : Math.min(max, Math.max(min, value));
+  }
+
+  // Read the form into a job ({ urls } or { startUrl, depth, samePath }) and run settings
+  function readForm(form) {
+    const settings = {
+      maxPages: readNumber(form.elements['max-pages'], BATCH_DEFAULTS.maxPages, BATCH_LIMITS.maxPages),
+      concurrency: readNumber(form.elements.concurrency, BATCH_DEFAULTS.concurrency, BATCH_LIMITS.concurrency)
+    };
+
+    if (form.elements.mode.value === 'list') {
+      return { job: { urls: parseUrlList(form.elements.urls.value) }, settings };
+    }
+
+    const [startUrl] = parseUrlList(form.elements['start-url'].value);
+    return {
+      job: {
+        startUrl,
+        depth: readNumber(form.elements.depth, BATCH_DEFAULTS.depth, BATCH_LIMITS.depth, 0),
+        samePath: form.elements['same-path'].checked
+      },
+      settings
+    };
+  }
+
+  // ======== Running ========
+  // Ask for access to the pages' hosts, then start the run
+  async function handleStart(e) {
+    e.preventDefault();
+    const form = e.target;
+    const { job, settings } = readForm(form);
+    const urls = job.startUrl ? [job.startUrl] : job.urls;
+
+    if (urls.length === 0 || !urls[0]) {
+      showToast(job.urls ? 'Enter at least one http(s) URL' : 'Enter a valid start URL', 3000);
+      return;
+    }
+
+    // Host access must be requested while the click is still being handled
+    const granted = await chrome.permissions.request({ origins: getBatchOrigins(urls) });
+    if (!granted) {
+      showToast('Host access was not granted', 3000);
+      return;
+    }
+
+    const saveToHistory = form.elements['save-history'].checked;
+    const options = { ...BACKGROUND_ANALYSIS_OPTIONS };
+
+    setRunning(true);
+    currentAggregate = null;
+    updateExportButtons();
+    document.getElementById('batch-results').innerHTML = '';
+    document.getElementById('batch-log').innerHTML = '';
+    document.getElementById('batch-count').textContent = '0';
+    updateProgress({ completed: 0, total: urls.length, active: 0, cancelled: false });
+
+    currentRun = runBatch(job, options, settings, (result, progress) => {
+      logResult(result);
+      updateProgress(progress);
+      if (saveToHistory && result.status === 'done') {
+        saveAnalysis(result.url, options, result.findings, result.analyzedAt).catch(error => {
+          console.error('Could not save analysis to history:', error);
+        });
+      }
+    });
+
+    try {
+      const results = await currentRun.done;
+      showAggregate(aggregateBatch(results));
+    } catch (error) {
+      console.error('Batch run failed:', error);
+      document.getElementById('batch-status').textContent = `Batch run failed: ${error.message}`;
+    } finally {
+      currentRun = null;
+      setRunning(false);
+    }
+  }
+
+  // Stop queuing pages and close the tabs still loading
+  function handleCancel() {
+    if (currentRun) {
+      currentRun.cancel();
+      document.getElementById('batch-status').textContent = 'Cancelling…';
+    }
+  }
+
+  // Lock the form while a run is in progress
+  function setRunning(running) {
+    document.getElementById('start-batch').disabled = running;
+    document.getElementById('cancel-batch').disabled = !running;
+  }
+
+  // Update the progress bar and status line
+  function updateProgress({ completed, total, active, cancelled }) {
+    const progressEl = document.getElementById('batch-progress');
+    progressEl.hidden = false;
+    progressEl.max = Math.max(total, 1);
+    progressEl.value = completed;
+    document.getElementById('batch-status').textContent = cancelled
+      ? `Cancelling… ${completed} of ${total} pages done`
+      : `${completed} of ${total} pages done, ${active} in progress`;
+  }
+
+  // Add a finished (or failed) page to the page log
+  function logResult(result) {
+    const logEl = document.getElementById('batch-log');
+    const detail = result.status === 'done' ? `depth ${result.depth}` : result.error;
+    logEl.insertAdjacentHTML('beforeend', `<li><span class="batch-status ${escapeHTML(result.status)}">${escapeHTML(result.status)}</span> ` +
+      `${escapeHTML(result.url)}<span class="source-meta">${escapeHTML(detail)}</span></li>`);
+    document.getElementById('batch-count').textContent = String(logEl.children.length);
+  }
+
+  // ======== Aggregate ========
+  // Show the technology-by-page matrix and the pages that stray from the majority
+  function showAggregate(aggregate) {
+    currentAggregate = aggregate;
+    updateExportButtons();
+
+    const analyzed = aggregate.reports.length;
+    document.getElementById('batch-status').textContent =
+      `Analyzed ${analyzed} page${analyzed === 1 ? '' : 's'}` +
+      (aggregate.failures.length > 0 ? `, ${aggregate.failures.length} not analyzed` : '');
+
+    let output = analyzed > 0 && aggregate.comparison.rows.length > 0
+      ? renderComparisonTable(aggregate.comparison)
+      : '<p class="hint">No technologies detected.</p>';
+
+    if (aggregate.deviations.length > 0) {
+      output += '<h2>Pages that differ from the majority</h2><ul class="deviation-list">' +
+        aggregate.deviations.map(deviation => {
+          const parts = [
+            deviation.missing.length > 0 ? `missing ${deviation.missing.join(', ')}` : null,
+            deviation.extra.length > 0 ? `also uses ${deviation.extra.join(', ')}` : null,
+            deviation.versions.length > 0 ? deviation.versions.join('; ') : null
+          ].filter(Boolean);
+          return `<li><strong>${escapeHTML(deviation.url)}</strong><span class="source-meta">${escapeHTML(parts.join(' · '))}</span></li>`;
+        }).join('') + '</ul>';
+    }
+
+    document.getElementById('batch-results').innerHTML = output;
+  }
+
+  // Enable the export buttons only once a run has finished
+  function updateExportButtons() {
+    document.querySelectorAll('.export-button').forEach(button => {
+      button.disabled = !currentAggregate;
+    });
+  }
+
+  // Download the aggregate report in the chosen format
+  function exportAggregate(format) {
+    if (!currentAggregate) {
+      return;
+    }
+
+    const serializers = {
+      csv: batchToCSV,
+      markdown: batchToMarkdown,
+      json: batchToJSON
+    };
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    downloadText(serializers[format](currentAggregate),
+      `tech-analyzer-batch-${fileStamp(new Date().toISOString())}.${extension}`, mimeType);
+  }
+})();
@@ -0,0 +1,220 @@
+/**
+ * Tech Analyzer Chrome Extension - Site Comparison
+ * Builds a technology-by-site matrix from saved and imported reports, and serializes it for export
+ */
+
+import { escapeHTML, formatTimestamp } from './utils.js';
+import { CATEGORY_FINDINGS } from './signatures.js';
+import { REPORT_SCHEMA, buildReport, csvField, markdownCell } from './export.js';
+
+/**
+ * Identifier and version of the exported comparison JSON format
+ */
+export const COMPARISON_SCHEMA = 'tech-analyzer-comparison';
+export const COMPARISON_SCHEMA_VERSION = 1;
+
+/**
+ * Build a report for a saved history entry so saved and imported analyses share one shape
+ * @param {Object} entry - History entry from getAllAnalyses
+ * @returns {Object} Report from buildReport
+ */
+export function reportFromHistory(entry) {
+  return buildReport(entry.findings, { url: entry.url, analyzedAt: entry.analyzedAt, options: entry.options });
+}
+
+/**
+ * Parse a JSON report exported by this extension (e.g. shared by a teammate)
+ * @param {string} text - Contents of the JSON file
+ * @returns {Object} Report
+ * @throws {Error} When the file isn't a Tech Analyzer report
+ */
+export function parseReport(text) {
+  let report;
+  try {
+    report = JSON.parse(text);
+  } catch (error) {
+    throw new Error('File is not valid JSON');
+  }
+  if (!report || report.schema !== REPORT_SCHEMA || !Array.isArray(report.frameworks) || !report.url) {
+    throw new Error('File is not a Tech Analyzer JSON report');
+  }
+  return report;
+}
+
+/**
+ * Short column label for a page URL: host plus path, without a bare "/"
+ * @param {string} url - Page URL
+ * @returns {string} Label
+ */
+export function siteLabel(url) {
+  try {
+    const { hostname, pathname } = new URL(url);
+    return pathname === '/' ? hostname : `${hostname}${pathname}`;
+  } catch (e) {
+    return url;
+  }
+}
+
+/**
+ * The value a set of cells agrees on most often, used to spot the odd ones out
+ * @param {Array<string|null>} values - Cell values
+ * @returns {Object} { value, tied }: `tied` is true when several values share the top count, in
+ *   which case there is no majority and `value` is null
+ */
+function mostCommon(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  const [first, second] = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  return second && second[1] === first[1]
+    ? { value: null, tied: true }
+    : { value: first[0], tied: false };
+}
+
+/**
+ * Build a technology-by-site matrix from reports
+ * @param {Object[]} reports - Reports (buildReport shape), one per column
+ * @returns {Object} { sites: [{ url, analyzedAt, label }], rows: [{ name, category, cells, present, differs, majority, tied }] }.
+ *   Each cell is null when the site doesn't use the technology, otherwise { version, vulnerable, odd },
+ *   where `odd` marks cells that differ from the most common value in the row. `majority` is that
+ *   value: a version, 'detected' when no version is known, or null when most sites lack it. When
+ *   the sites are evenly split `tied` is true, there is no majority (null) and no cell is odd.
+ */
+export function buildComparison(reports) {
+  const sites = reports.map(report => ({
+    url: report.url,
+    analyzedAt: report.analyzedAt,
+    label: siteLabel(report.url)
+  }));
+
+  // One row per technology, keyed by category and name
+  const rows = new Map();
+  reports.forEach((report, column) => {
+    report.frameworks.forEach(framework => {
+      const key = `${framework.category}:${framework.name}`;
+      if (!rows.has(key)) {
+        rows.set(key, { name: framework.name, category: framework.category, cells: new Array(reports.length).fill(null) });
+      }
+      rows.get(key).cells[column] = {
+        version: framework.version || null,
+        vulnerable: Boolean(framework.advisories && framework.advisories.length > 0)
+      };
+    });
+  });
+
+  return {
+    sites,
+    rows: [...rows.values()].map(row => {
+      const values = row.cells.map(cell => cell ? (cell.version || 'detected') : null);
+      const common = mostCommon(values);
+      return {
+        ...row,
+        cells: row.cells.map((cell, column) => cell ? { ...cell, odd: !common.tied && values[column] !== common.value } : null),
+        present: row.cells.filter(Boolean).length,
+        differs: new Set(values).size > 1,
+        majority: common.value,
+        tied: common.tied
+      };
+    })
+  };
+}
+
+/**
+ * Position of a category in display order, for sorting rows
+ * @param {string} category - Signature category
+ * @returns {number} Sort index
+ */
+export function categoryOrder(category) {
+  const index = Object.keys(CATEGORY_FINDINGS).indexOf(category);
+  return index === -1 ? Object.keys(CATEGORY_FINDINGS).length : index;
+}
+
+/**
+ * Render a comparison as an HTML table: differing rows and odd cells are highlighted,
+ * vulnerable versions marked
+ * @param {Object} comparison - Matrix from buildComparison
+ * @returns {string} Table markup
+ */
+export function renderComparisonTable(comparison) {
+  const header = '<tr><th>Technology</th><th>Category</th>' + comparison.sites.map(site =>
+    `<th class="site-header" title="${escapeHTML(`${site.url}\n${formatTimestamp(site.analyzedAt)}`)}">${escapeHTML(site.label)}</th>`
+  ).join('') + '</tr>';
+
+  const body = comparison.rows.map(row => {
+    const cells = row.cells.map(cell => {
+      if (!cell) {
+        return '<td class="absent">–</td>';
+      }
+      const classes = [cell.odd ? 'odd' : '', cell.vulnerable ? 'vulnerable' : ''].filter(Boolean).join(' ');
+      const title = cell.vulnerable ? ' title="Known vulnerabilities in this version"' : '';
+      return `<td class="${classes}"${title}>${escapeHTML(cell.version || '✓')}</td>`;
+    }).join('');
+    return `<tr class="${row.differs ? 'differs' : ''}"><th scope="row">${escapeHTML(row.name)}</th>` +
+      `<td class="category-cell">${escapeHTML(row.category)}</td>${cells}</tr>`;
+  }).join('');
+
+  return `<table class="matrix"><thead>${header}</thead><tbody>${body}</tbody></table>`;
+}
+
+/**
+ * Cell text for exports: the version, "detected" when no version is known, or empty
+ * @param {Object|null} cell - Matrix cell
+ * @returns {string} Cell text
+ */
+function cellText(cell) {
+  if (!cell) return '';
+  return (cell.version || 'detected') + (cell.vulnerable ? ' (vulnerable)' : '');
+}
+
+/**
+ * Serialize a comparison as CSV with one row per technology and one column per site
+ * @param {Object} comparison - Matrix from buildComparison
+ * @returns {string} CSV text
+ */
+export function comparisonToCSV(comparison) {
+  const header = ['technology', 'category', 'sites', ...comparison.sites.map(site => site.url)];
+  const rows = comparison.rows.map(row => [row.name, row.category, row.present, ...row.cells.map(cellText)]);
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n');
+}
+
+/**
+ * Serialize a comparison as a Markdown table
+ * @param {Object} comparison - Matrix from buildComparison
+ * @returns {string} Markdown text
+ */
+export function comparisonToMarkdown(comparison) {
+  const lines = ['# Tech Analyzer site comparison', ''];
+  comparison.sites.forEach((site, index) => {
+    lines.push(`${index + 1}. ${site.url} (${site.analyzedAt})`);
+  });
+  lines.push('');
+
+  if (comparison.rows.length === 0) {
+    lines.push('No technologies detected.', '');
+    return lines.join('\n');
+  }
+
+  lines.push(
+    `| Technology | Category | ${comparison.sites.map(site => markdownCell(site.label)).join(' | ')} |`,
+    `|---|---|${comparison.sites.map(() => '---').join('|')}|`
+  );
+  comparison.rows.forEach(row => {
+    lines.push(`| ${markdownCell(row.name)} | ${markdownCell(row.category)} | ${row.cells.map(cell => markdownCell(cellText(cell))).join(' | ')} |`);
+  });
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+/**
+ * Serialize a comparison as versioned JSON
+ * @param {Object} comparison - Matrix from buildComparison
+ * @returns {string} JSON text
+ */
+export function comparisonToJSON(comparison) {
+  return JSON.stringify({
+    schema: COMPARISON_SCHEMA,
+    schemaVersion: COMPARISON_SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    ...comparison
+  }, null, 2);
+}
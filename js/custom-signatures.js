@@ -0,0 +1,195 @@
+/**
+ * Tech Analyzer Chrome Extension - Custom Signatures
+ * User-defined technologies (in-house design systems, internal libraries) stored in
+ * chrome.storage.sync and evaluated alongside the bundled signature database
+ */
+
+import { loadSignatures, CATEGORY_FINDINGS } from './signatures.js';
+
+/**
+ * chrome.storage.sync key holding the list of custom signatures
+ */
+export const CUSTOM_SIGNATURES_KEY = 'customSignatures';
+
+/**
+ * Identifies an exported custom signature file
+ */
+export const CUSTOM_SIGNATURES_SCHEMA = 'tech-analyzer-custom-signatures';
+export const CUSTOM_SIGNATURES_SCHEMA_VERSION = 1;
+
+/**
+ * Signal types a custom signature can use, with the field holding what they match:
+ * `patterns` (a list) or `selector` (one CSS selector)
+ */
+export const CUSTOM_SIGNAL_TYPES = {
+  global: 'patterns',
+  attribute: 'patterns',
+  class: 'patterns',
+  file: 'patterns',
+  dom: 'selector'
+};
+
+/**
+ * Badge colour for custom signatures that don't set their own
+ */
+export const DEFAULT_CUSTOM_BADGE_COLOR = '#6a1b9a';
+
+/**
+ * Load the custom signatures saved in sync storage
+ * @returns {Promise<Object[]>} Custom signatures ({ name, category, minConfidence, badgeColor, signals })
+ */
+export async function loadCustomSignatures() {
+  const { [CUSTOM_SIGNATURES_KEY]: stored } = await chrome.storage.sync.get(CUSTOM_SIGNATURES_KEY);
+  return Array.isArray(stored) ? stored : [];
+}
+
+/**
+ * Save the custom signatures to sync storage, replacing the stored list
+ * @param {Object[]} customSignatures - Validated custom signatures
+ * @throws {Error} When the list is larger than a single sync storage item may be
+ */
+export async function saveCustomSignatures(customSignatures) {
+  try {
+    await chrome.storage.sync.set({ [CUSTOM_SIGNATURES_KEY]: customSignatures });
+  } catch (error) {
+    // QUOTA_BYTES_PER_ITEM is 8 KB, which holds a few dozen typical definitions
+    throw new Error(`Could not save custom signatures: ${error.message}`);
+  }
+}
+
+/**
+ * Check a custom signature and return it in its stored form
+ * @param {Object} definition - Custom signature as entered or imported
+ * @param {string[]} reservedNames - Names already in use (bundled technologies, other custom ones)
+ * @returns {Object} Normalized custom signature
+ * @throws {Error} Describing the first problem found
+ */
+export function validateCustomSignature(definition, reservedNames = []) {
+  const name = typeof definition.name === 'string' ? definition.name.trim() : '';
+  if (!name) {
+    throw new Error('Name is required');
+  }
+  if (reservedNames.some(reserved => reserved.toLowerCase() === name.toLowerCase())) {
+    throw new Error(`${name}: a technology with this name already exists`);
+  }
+  if (!Object.prototype.hasOwnProperty.call(CATEGORY_FINDINGS, definition.category)) {
+    throw new Error(`${name}: category must be one of ${Object.keys(CATEGORY_FINDINGS).join(', ')}`);
+  }
+  if (!Number.isInteger(definition.minConfidence) || definition.minConfidence < 1) {
+    throw new Error(`${name}: threshold must be a whole number of at least 1`);
+  }
+  if (definition.badgeColor !== undefined && !/^#[0-9a-f]{6}$/i.test(definition.badgeColor)) {
+    throw new Error(`${name}: badge colour must be a hex colour such as #6a1b9a`);
+  }
+  if (!Array.isArray(definition.signals) || definition.signals.length === 0) {
+    throw new Error(`${name}: add at least one signal`);
+  }
+
+  const signals = definition.signals.map((signal, index) => {
+    const where = `${name}, signal ${index + 1}`;
+    const field = CUSTOM_SIGNAL_TYPES[signal.type];
+    if (!field) {
+      throw new Error(`${where}: type must be one of ${Object.keys(CUSTOM_SIGNAL_TYPES).join(', ')}`);
+    }
+    if (!Number.isInteger(signal.weight) || signal.weight < 1) {
+      throw new Error(`${where}: weight must be a whole number of at least 1`);
+    }
+
+    if (field === 'selector') {
+      const selector = typeof signal.selector === 'string' ? signal.selector.trim() : '';
+      if (!selector) {
+        throw new Error(`${where}: a CSS selector is required`);
+      }
+      return { type: signal.type, selector, weight: signal.weight };
+    }
+
+    const patterns = Array.isArray(signal.patterns)
+      ? signal.patterns.map(pattern => String(pattern).trim()).filter(Boolean)
+      : [];
+    if (patterns.length === 0) {
+      throw new Error(`${where}: at least one pattern is required`);
+    }
+    return { type: signal.type, patterns, weight: signal.weight };
+  });
+
+  return {
+    name,
+    category: definition.category,
+    minConfidence: definition.minConfidence,
+    badgeColor: definition.badgeColor || DEFAULT_CUSTOM_BADGE_COLOR,
+    signals
+  };
+}
+
+/**
+ * Serialize custom signatures for sharing
+ * @param {Object[]} customSignatures - Custom signatures
+ * @returns {string} Pretty-printed JSON
+ */
+export function exportCustomSignatures(customSignatures) {
+  return JSON.stringify({
+    schema: CUSTOM_SIGNATURES_SCHEMA,
+    schemaVersion: CUSTOM_SIGNATURES_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    signatures: customSignatures
+  }, null, 2);
+}
+
+/**
+ * Merge an exported custom signature file into the current list. Imported definitions replace
+ * custom ones of the same name; everything else is kept.
+ * @param {string} text - Contents of the JSON file
+ * @param {Object[]} current - Current custom signatures
+ * @param {string[]} builtInNames - Names of the bundled technologies, which can't be redefined
+ * @returns {Object} { signatures: merged list, imported: number of definitions read }
+ * @throws {Error} When the file isn't valid JSON, not a custom signature file or has invalid entries
+ */
+export function importCustomSignatures(text, current, builtInNames) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('File is not valid JSON');
+  }
+  if (!data || data.schema !== CUSTOM_SIGNATURES_SCHEMA || !Array.isArray(data.signatures)) {
+    throw new Error('Not a custom signature file exported by Tech Analyzer');
+  }
+  if (data.schemaVersion !== CUSTOM_SIGNATURES_SCHEMA_VERSION) {
+    throw new Error(`Unsupported schemaVersion ${data.schemaVersion}`);
+  }
+
+  const imported = [];
+  data.signatures.forEach(definition => {
+    imported.push(validateCustomSignature(definition, [...builtInNames, ...imported.map(item => item.name)]));
+  });
+
+  const importedNames = new Set(imported.map(item => item.name.toLowerCase()));
+  return {
+    signatures: [...current.filter(item => !importedNames.has(item.name.toLowerCase())), ...imported],
+    imported: imported.length
+  };
+}
+
+/**
+ * Add custom signatures to a signature database. Each lands at the end of its category,
+ * marked `custom` so its findings can be told apart from the bundled ones.
+ * @param {Object} signatures - Parsed signature database
+ * @param {Object[]} customSignatures - Custom signatures
+ * @returns {Object} A new signature database; the input is not modified
+ */
+export function mergeCustomSignatures(signatures, customSignatures) {
+  const categories = { ...signatures.categories };
+  customSignatures.forEach(({ category, ...definition }) => {
+    categories[category] = [...(categories[category] || []), { ...definition, custom: true }];
+  });
+  return { ...signatures, categories };
+}
+
+/**
+ * Load the signature database the analyzer runs with: the bundled one plus any custom signatures
+ * @returns {Promise<Object>} Merged signature database
+ */
+export async function loadActiveSignatures() {
+  const [signatures, customSignatures] = await Promise.all([loadSignatures(), loadCustomSignatures()]);
+  return customSignatures.length > 0 ? mergeCustomSignatures(signatures, customSignatures) : signatures;
+}
@@ -0,0 +1,178 @@
+/**
+ * Tech Analyzer Chrome Extension - Comparison Dashboard
+ * Full extension page comparing saved and imported analyses side by side
+ */
+
+import { initializeTheme, toggleTheme, showToast, escapeHTML, formatTimestamp } from './utils.js';
+import { getAllAnalyses } from './history.js';
+import { downloadText, fileStamp, EXPORT_FORMATS } from './export.js';
+import {
+  reportFromHistory, parseReport, siteLabel, buildComparison, categoryOrder, renderComparisonTable,
+  comparisonToCSV, comparisonToMarkdown, comparisonToJSON
+} from './comparison.js';
+
+(function() {
+  // Every analysis that can become a column: { id, origin ('saved' or 'imported'), report, selected }
+  let sources = [];
+  let importCount = 0;
+
+  // Matrix for the current selection, as shown (after filtering and sorting)
+  let currentComparison = null;
+
+  document.addEventListener('DOMContentLoaded', () => {
+    initializeTheme();
+
+    document.getElementById('theme-toggle').addEventListener('click', toggleTheme);
+    document.getElementById('import-reports').addEventListener('change', handleImport);
+    document.getElementById('source-list').addEventListener('change', handleSourceToggle);
+    document.getElementById('matrix-controls').addEventListener('input', renderMatrix);
+    document.getElementById('matrix-controls').addEventListener('submit', e => e.preventDefault());
+    document.querySelectorAll('.export-button').forEach(button => {
+      button.addEventListener('click', () => exportComparison(button.dataset.format));
+    });
+
+    loadSavedAnalyses();
+  });
+
+  // ======== Sources ========
+  // Offer the latest saved run of every page, all selected to begin with
+  async function loadSavedAnalyses() {
+    const entries = await getAllAnalyses();
+    const seenPages = new Set();
+
+    // Entries are newest first, so the first one per page is its latest run
+    entries.forEach(entry => {
+      if (seenPages.has(entry.key)) {
+        return;
+      }
+      seenPages.add(entry.key);
+      sources.push({ id: `saved:${entry.id}`, origin: 'saved', report: reportFromHistory(entry), selected: true });
+    });
+
+    renderSources();
+    renderMatrix();
+  }
+
+  // Add JSON reports exported from the popup, e.g. shared by teammates
+  async function handleImport(e) {
+    const files = [...e.target.files];
+    let imported = 0;
+
+    for (const file of files) {
+      try {
+        const report = parseReport(await file.text());
+        sources.push({ id: `imported:${++importCount}`, origin: 'imported', report, selected: true });
+        imported++;
+      } catch (error) {
+        showToast(`${file.name}: ${error.message}`, 4000);
+      }
+    }
+    e.target.value = '';
+
+    if (imported > 0) {
+      showToast(`Imported ${imported} report${imported === 1 ? '' : 's'}`);
+      renderSources();
+      renderMatrix();
+    }
+  }
+
+  // Include or exclude an analysis from the matrix
+  function handleSourceToggle(e) {
+    const source = sources.find(item => item.id === e.target.value);
+    if (!source) {
+      return;
+    }
+    source.selected = e.target.checked;
+    renderMatrix();
+  }
+
+  // List the available analyses with a checkbox each
+  function renderSources() {
+    const listEl = document.getElementById('source-list');
+
+    if (sources.length === 0) {
+      listEl.innerHTML = '<li>No saved analyses yet. Run an analysis from the popup or import a report.</li>';
+      return;
+    }
+
+    listEl.innerHTML = sources.map(source => `<li><label>` +
+      `<input type="checkbox" value="${escapeHTML(source.id)}"${source.selected ? ' checked' : ''} />` +
+      `<span>${escapeHTML(siteLabel(source.report.url))}` +
+      `<span class="source-meta">${source.origin === 'imported' ? 'Imported' : 'Saved'} · ${escapeHTML(formatTimestamp(source.report.analyzedAt))}</span></span>` +
+      `</label></li>`
+    ).join('');
+  }
+
+  // ======== Matrix ========
+  // Read the category, sort, text filter and differences-only controls
+  function getControls() {
+    const form = document.getElementById('matrix-controls');
+    return {
+      category: form.elements.category.value,
+      sort: form.elements.sort.value,
+      filter: form.elements.filter.value.trim().toLowerCase(),
+      differences: form.elements.differences.checked
+    };
+  }
+
+  // Sort comparators for the "Sort by" control, with the technology name as tie-breaker
+  const SORTERS = {
+    name: (a, b) => a.name.localeCompare(b.name),
+    category: (a, b) => categoryOrder(a.category) - categoryOrder(b.category) || a.name.localeCompare(b.name),
+    coverage: (a, b) => b.present - a.present || a.name.localeCompare(b.name)
+  };
+
+  // Build the matrix for the selected analyses and render it with the current controls
+  function renderMatrix() {
+    const matrixEl = document.getElementById('matrix');
+    const controls = getControls();
+    const selected = sources.filter(source => source.selected);
+
+    if (selected.length === 0) {
+      currentComparison = null;
+      updateExportButtons();
+      matrixEl.innerHTML = '<p class="hint">Select at least one analysis to compare.</p>';
+      return;
+    }
+
+    const comparison = buildComparison(selected.map(source => source.report));
+    comparison.rows = comparison.rows
+      .filter(row => !controls.category || row.category === controls.category)
+      .filter(row => !controls.filter || row.name.toLowerCase().includes(controls.filter))
+      .filter(row => !controls.differences || row.differs)
+      .sort(SORTERS[controls.sort]);
+    currentComparison = comparison;
+    updateExportButtons();
+
+    if (comparison.rows.length === 0) {
+      matrixEl.innerHTML = '<p class="hint">No technologies match the current filters.</p>';
+      return;
+    }
+
+    matrixEl.innerHTML = renderComparisonTable(comparison);
+  }
+
+  // ======== Export ========
+  // Enable the export buttons only while a matrix is shown
+  function updateExportButtons() {
+    document.querySelectorAll('.export-button').forEach(button => {
+      button.disabled = !currentComparison;
+    });
+  }
+
+  // Download the matrix as shown, in the chosen format
+  function exportComparison(format) {
+    if (!currentComparison) {
+      return;
+    }
+
+    const serializers = {
+      csv: comparisonToCSV,
+      markdown: comparisonToMarkdown,
+      json: comparisonToJSON
+    };
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    downloadText(serializers[format](currentComparison),
+      `tech-analyzer-comparison-${fileStamp(new Date().toISOString())}.${extension}`, mimeType);
+  }
+})();
@@ -0,0 +1,321 @@
+/**
+ * Tech Analyzer Chrome Extension - Report Export
+ * Builds a versioned report from analysis findings and serializes it as JSON, CSV or Markdown
+ */
+
+import { listDetected } from './signatures.js';
+
+/**
+ * Identifier and version of the exported JSON report format.
+ * Bump the version whenever a field is renamed or removed.
+ */
+export const REPORT_SCHEMA = 'tech-analyzer-report';
+export const REPORT_SCHEMA_VERSION = 2;
+
+/**
+ * Supported export formats with their file extension and MIME type
+ */
+export const EXPORT_FORMATS = {
+  json: { extension: 'json', mimeType: 'application/json' },
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  markdown: { extension: 'md', mimeType: 'text/markdown' }
+};
+
+/**
+ * Normalize a file list from findings to inventory entries. Analyses saved before the
+ * inventory existed hold bare filenames and a "None found" placeholder for empty lists.
+ * @param {Array} files - File list from the findings
+ * @returns {Object[]} Inventory entries (see buildResourceInventory)
+ */
+export function normalizeFiles(files) {
+  return (files || [])
+    .filter(file => file !== 'None found')
+    .map(file => typeof file === 'string'
+      ? { url: null, filename: file, inline: false, host: null, party: null, source: 'dom', attributes: null, size: null, transferSize: null, decodedSize: null }
+      : file);
+}
+
+/**
+ * Short description of a script's loading attributes, e.g. "module, async, integrity"
+ * @param {Object|null} attributes - Script attributes from the inventory
+ * @returns {string} Comma-separated attribute list
+ */
+export function describeScriptAttributes(attributes) {
+  if (!attributes) return '';
+  return [
+    attributes.type && attributes.type !== 'text/javascript' ? attributes.type : null,
+    attributes.async ? 'async' : null,
+    attributes.defer ? 'defer' : null,
+    attributes.nomodule ? 'nomodule' : null,
+    attributes.integrity ? 'integrity' : null,
+    attributes.crossorigin !== null && attributes.crossorigin !== undefined ? `crossorigin=${attributes.crossorigin || 'anonymous'}` : null
+  ].filter(Boolean).join(', ');
+}
+
+/**
+ * Describe extracted IDs or components as "Label: value" pairs, e.g. "Container ID: GTM-ABC123"
+ * @param {Object[]|undefined} ids - IDs or components from a finding
+ * @returns {string} Semicolon-separated list
+ */
+export function describeIds(ids) {
+  return (ids || []).map(id => `${id.label}: ${id.value}`).join('; ');
+}
+
+/**
+ * Describe the advisories matched to a finding, e.g. "CVE-2020-11022 (medium); CVE-2019-11358 (medium)"
+ * @param {Object[]|undefined} advisories - Advisories from a finding
+ * @returns {string} Semicolon-separated list
+ */
+export function describeAdvisories(advisories) {
+  return (advisories || []).map(advisory =>
+    `${advisory.identifiers.join(', ') || advisory.summary} (${advisory.severity})`
+  ).join('; ');
+}
+
+/**
+ * Build a report object from analysis findings
+ * @param {Object} findings - Findings returned by analyzePage
+ * @param {Object} context - Page URL, analysis timestamp and the options used
+ * @returns {Object} Versioned report
+ */
+export function buildReport(findings, { url, analyzedAt, options }) {
+  return {
+    schema: REPORT_SCHEMA,
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    url,
+    analyzedAt,
+    options,
+    frameworks: listDetected(findings),
+    nearMisses: findings.nearMisses || [],
+    security: findings.security || [],
+    metadata: findings.metadata || null,
+    contentInspection: findings.contentInspection || null,
+    headersUnavailable: findings.headersUnavailable || null,
+    files: {
+      js: normalizeFiles(findings.jsFiles),
+      css: normalizeFiles(findings.cssFiles)
+    }
+  };
+}
+
+/**
+ * Serialize a report as pretty-printed JSON
+ * @param {Object} report - Report from buildReport
+ * @returns {string} JSON text
+ */
+export function reportToJSON(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break. Text starting with a
+ * formula character (=, +, -, @, tab or carriage return) is prefixed with ' so spreadsheets
+ * show page-controlled values instead of evaluating them.
+ * @param {*} value - Field value
+ * @returns {string} CSV-safe field
+ */
+export function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize a report as a flat CSV table with one row per technology or file
+ * @param {Object} report - Report from buildReport
+ * @returns {string} CSV text
+ */
+export function reportToCSV(report) {
+  const header = ['url', 'analyzedAt', 'kind', 'category', 'name', 'version', 'versionSource', 'score', 'threshold',
+    'ids', 'components', 'advisories', 'party', 'attributes', 'size', 'transferSize', 'decodedSize', 'status', 'evidence'];
+  const rows = [];
+
+  const addFramework = (kind, framework) => rows.push([
+    report.url,
+    report.analyzedAt,
+    kind,
+    framework.category,
+    framework.name,
+    framework.version,
+    framework.versionSource ? `${framework.versionSource.type}: ${framework.versionSource.detail}` : '',
+    framework.score,
+    framework.threshold,
+    describeIds(framework.ids),
+    describeIds(framework.components),
+    describeAdvisories(framework.advisories),
+    '', '', '', '', '', '', ''
+  ]);
+
+  report.frameworks.forEach(framework => addFramework('framework', framework));
+  report.nearMisses.forEach(framework => addFramework('near-miss', framework));
+  const addFile = (category, file) => rows.push([
+    report.url,
+    report.analyzedAt,
+    file.inline ? 'inline' : 'file',
+    category,
+    file.url || file.filename,
+    '', '', '', '', '', '', '',
+    file.party,
+    describeScriptAttributes(file.attributes),
+    file.size,
+    file.transferSize,
+    file.decodedSize,
+    '', ''
+  ]);
+  
+  report.security.forEach(item => rows.push([
+    report.url, report.analyzedAt, 'security', item.id, item.title, '', '', '', '', '', '', '', '', '', '', '', '',
+    item.status, [item.summary, ...item.evidence].join(' | ')
+  ]));
+  (report.metadata ? report.metadata.checks : []).forEach(item => rows.push([
+    report.url, report.analyzedAt, 'metadata', item.id, item.title, '', '', '', '', '', '', '', '', '', '', '', '',
+    item.status, [item.summary, ...item.evidence].join(' | ')
+  ]));
+  report.files.js.forEach(file => addFile('js', file));
+  report.files.css.forEach(file => addFile('css', file));
+
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n');
+}
+
+/**
+ * Escape characters that would break a Markdown table cell
+ * @param {*} value - Cell value
+ * @returns {string} Markdown-safe cell text
+ */
+export function markdownCell(value) {
+  const text = value === null || value === undefined || value === '' ? '-' : String(value);
+  return text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Serialize a report as Markdown with a technology table and file tables
+ * @param {Object} report - Report from buildReport
+ * @returns {string} Markdown text
+ */
+export function reportToMarkdown(report) {
+  const lines = [
+    `# Tech Analyzer report`,
+    '',
+    `- **URL:** ${report.url}`,
+    `- **Analyzed:** ${report.analyzedAt}`,
+    ''
+  ];
+
+  lines.push('## Technologies', '');
+  if (report.frameworks.length === 0) {
+    lines.push('No technologies detected.', '');
+  } else {
+    lines.push('| Technology | Category | Version | IDs | Themes & plugins | Score |', '|---|---|---|---|---|---|');
+    report.frameworks.forEach(framework => {
+      lines.push(`| ${markdownCell(framework.name)} | ${markdownCell(framework.category)} | ${markdownCell(framework.version)} | ${markdownCell(describeIds(framework.ids))} | ${markdownCell(describeIds(framework.components))} | ${framework.score} / ${framework.threshold} |`);
+    });
+    lines.push('');
+  }
+
+  const vulnerable = report.frameworks.filter(framework => framework.advisories && framework.advisories.length > 0);
+  if (vulnerable.length > 0) {
+    lines.push('## Known vulnerabilities', '', '| Technology | Version | Severity | Advisory | Affected |', '|---|---|---|---|---|');
+    vulnerable.forEach(framework => framework.advisories.forEach(advisory => {
+      lines.push(`| ${markdownCell(framework.name)} | ${markdownCell(framework.version)} | ${markdownCell(advisory.severity)} | ${markdownCell([advisory.identifiers.join(', '), advisory.summary].filter(Boolean).join(': '))} | ${markdownCell(advisory.range)} |`);
+    }));
+    lines.push('');
+  }
+
+  const uninspected = report.contentInspection ? report.contentInspection.uninspected : [];
+  if (uninspected.length > 0) {
+    lines.push('## Files not inspected', '',
+      `${uninspected.length} of ${report.contentInspection.total} linked files could not be read, so their content and source map signals were not scored.`,
+      '', '| File | Reason |', '|---|---|');
+    uninspected.forEach(item => {
+      lines.push(`| ${markdownCell(item.url)} | ${markdownCell(item.reason)} |`);
+    });
+    lines.push('');
+  }
+
+  if (report.security.length > 0) {
+    lines.push('## Security', '', '| Check | Status | Result |', '|---|---|---|');
+    report.security.forEach(item => {
+      lines.push(`| ${markdownCell(item.title)} | ${markdownCell(item.status)} | ${markdownCell(item.summary)} |`);
+    });
+    lines.push('');
+  }
+
+  if (report.metadata) {
+    lines.push('## Metadata', '',
+      `- **Title:** ${markdownCell(report.metadata.title)}`,
+      `- **Description:** ${markdownCell(report.metadata.description)}`,
+      `- **Canonical:** ${markdownCell(report.metadata.canonical)}`,
+      '', '| Check | Status | Result |', '|---|---|---|');
+    report.metadata.checks.forEach(item => {
+      lines.push(`| ${markdownCell(item.title)} | ${markdownCell(item.status)} | ${markdownCell(item.summary)} |`);
+    });
+    lines.push('');
+  }
+
+  [['JavaScript files', report.files.js], ['CSS files', report.files.css]].forEach(([title, files]) => {
+    if (files.length === 0) return;
+    lines.push(`## ${title}`, '', '| File | Party | Attributes | Size (bytes) |', '|---|---|---|---|');
+    files.forEach(file => {
+      const size = file.inline ? file.size : file.decodedSize;
+      lines.push(`| ${markdownCell(file.url || file.filename)} | ${markdownCell(file.party)} | ${markdownCell(describeScriptAttributes(file.attributes))} | ${markdownCell(size)} |`);
+    });
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Format an ISO timestamp for use in a filename, e.g. 2024-05-01T10-00-00
+ * @param {string} isoString - ISO 8601 timestamp
+ * @returns {string} Filename-safe timestamp
+ */
+export function fileStamp(isoString) {
+  return isoString.replace(/\.\d+Z$/, '').replace(/:/g, '-');
+}
+
+/**
+ * Download text as a file
+ * @param {string} text - File contents
+ * @param {string} filename - Suggested filename
+ * @param {string} mimeType - MIME type of the contents
+ */
+export function downloadText(text, filename, mimeType) {
+  const blob = new Blob([text], { type: mimeType });
+  const objectUrl = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = objectUrl;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  
+  // Revoke after the click has been handled so the download can start
+  setTimeout(() => URL.revokeObjectURL(objectUrl), 0);
+}
+
+/**
+ * Serialize a report and download it as a file
+ * @param {Object} report - Report from buildReport
+ * @param {string} format - One of the EXPORT_FORMATS keys
+ */
+export function downloadReport(report, format) {
+  const serializers = {
+    json: reportToJSON,
+    csv: reportToCSV,
+    markdown: reportToMarkdown
+  };
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+
+  // Name the file after the analyzed host and time, e.g. tech-analyzer-example.com-2024-05-01T10-00-00.json
+  let host = 'page';
+  try {
+    host = new URL(report.url).hostname || host;
+  } catch (e) {
+    // Keep the generic name for unparseable URLs
+  }
+
+  downloadText(serializers[format](report), `tech-analyzer-${host}-${fileStamp(report.analyzedAt)}.${extension}`, mimeType);
+}
@@ -1,142 +1,154 @@
 /**
  * Tech Analyzer Chrome Extension - File Analyzer
- * Handles scanning and filtering of JavaScript and CSS files
+ * Builds the inventory of scripts and stylesheets a page uses
+ *
+ * These functions are injected into the analyzed page through chrome.scripting.executeScript,
+ * so each one must stay self-contained.
  */
 
 /**
- * Find all JavaScript files in the document
+ * Inventory the page's scripts and stylesheets: external files with their full URL, inline
+ * blocks with their size, and files only visible to resource timing (dynamic imports, workers,
+ * stylesheets pulled in through @import)
+ *
+ * Each entry has:
+ * - url: full URL, or null for inline blocks
+ * - filename: last path segment (host and path when it has no extension), or a label for inline blocks
+ * - inline: whether the entry is an inline <script> or <style> block
+ * - host and party: 'first' when the host is the page's host or a subdomain of it
+ *   (a leading "www." is ignored), otherwise 'third'
+ * - source: 'dom' or 'resource-timing'
+ * - attributes: scripts only - type, async, defer, nomodule, integrity, crossorigin
+ * - size: bytes of an inline block's text
+ * - transferSize, decodedSize: from resource timing, or null when the file has no entry.
+ *   Cross-origin files without Timing-Allow-Origin and cache hits report 0.
+ *
+ * @param {Object} include - { scripts: boolean, stylesheets: boolean }
  * @param {boolean} debugMode - Whether to enable debug logging
- * @returns {string[]} Array of JavaScript filenames
+ * @returns {Object} { scripts: Object[], stylesheets: Object[] }
  */
-export function findJavaScriptFiles(debugMode = false) {
-  const jsFiles = Array.from(document.querySelectorAll('script[src]'))
-    .map(script => {
+export function buildResourceInventory(include, debugMode = false) {
+  // Set up debug logger (inlined because this function runs in the page)
+  const debugLog = debugMode
+    ? (message, data) => console.log(`%c[Tech Analyzer Debug] %c${message}`, 'color: #2b90d9; font-weight: bold;', 'color: inherit;', data || '')
+    : () => {};
+  
+  const siteHost = location.hostname.replace(/^www\./, '');
+  const encoder = new TextEncoder();
+  
+  // Resource timing entries by URL, for transfer and decoded sizes
+  const timingEntries = typeof performance.getEntriesByType === 'function' ? performance.getEntriesByType('resource') : [];
+  const timing = new Map(timingEntries.map(entry => [entry.name, entry]));
+  
+  // Describe an external resource by its full URL
+  function describeUrl(href, source) {
+    const url = new URL(href, location.href);
+    const host = url.hostname.replace(/^www\./, '');
+    const entry = timing.get(url.href);
+    const segment = url.pathname.split('/').pop();
+    
+    return {
+      url: url.href,
+      filename: segment.includes('.') ? segment : `${url.hostname}${url.pathname}`,
+      inline: false,
+      host: url.hostname,
+      party: host === siteHost || host.endsWith(`.${siteHost}`) || siteHost.endsWith(`.${host}`) ? 'first' : 'third',
+      source,
+      attributes: null,
+      size: null,
+      transferSize: entry ? entry.transferSize : null,
+      decodedSize: entry ? entry.decodedBodySize : null
+    };
+  }
+  
+  // Describe an inline <script> or <style> block
+  function describeInline(element, label) {
+    return {
+      url: null,
+      filename: label,
+      inline: true,
+      host: location.hostname,
+      party: 'first',
+      source: 'dom',
+      attributes: null,
+      size: encoder.encode(element.textContent).length,
+      transferSize: null,
+      decodedSize: null
+    };
+  }
+  
+  // Add resource-timing files that never appeared as an element
+  function addTimingOnly(list, matches) {
+    const listed = new Set(list.map(item => item.url));
+    timingEntries.filter(matches).forEach(entry => {
+      if (!listed.has(entry.name) && /^https?:/.test(entry.name)) {
+        listed.add(entry.name);
+        list.push(describeUrl(entry.name, 'resource-timing'));
+      }
+    });
+  }
+  
+  const inventory = {
+    scripts: [],
+    stylesheets: []
+  };
+  
+  if (include.scripts) {
+    let inlineCount = 0;
+    document.querySelectorAll('script').forEach(script => {
+      const attributes = {
+        type: script.getAttribute('type'),
+        async: script.hasAttribute('async'),
+        defer: script.hasAttribute('defer'),
+        nomodule: script.hasAttribute('nomodule'),
+        integrity: script.getAttribute('integrity'),
+        crossorigin: script.getAttribute('crossorigin')
+      };
+      
       try {
-        const url = new URL(script.src);
-        const pathname = url.pathname;
-        
-        // Skip API calls and non-file URLs
-        if (pathname.includes('/api/') || 
-            pathname.includes('/json') || 
-            url.search || // Has query parameters
-            !pathname.includes('.')) {
-          if (debugMode) {
-            console.log(`%c[Tech Analyzer Debug] %cSkipping script: ${script.src}`, 
-              'color: #2b90d9; font-weight: bold;', 'color: inherit;');
-          }
-          return null;
-        }
-        
-        // Extract just the filename
-        const filename = pathname.split('/').pop();
-        if (debugMode) {
-          console.log(`%c[Tech Analyzer Debug] %cFound JS file: ${filename}`, 
-            'color: #2b90d9; font-weight: bold;', 'color: inherit;', {
-              fullUrl: script.src,
-              element: script.outerHTML.slice(0, 100)
-            });
-        }
-        return filename;
+        const item = script.hasAttribute('src')
+          ? describeUrl(script.getAttribute('src'), 'dom')
+          : describeInline(script, `inline <script> #${++inlineCount}`);
+        item.attributes = attributes;
+        inventory.scripts.push(item);
       } catch (e) {
-        // Fallback for relative URLs
-        const parts = script.src.split('/');
-        const filename = parts.pop();
-        
-        // Apply same filtering to relative URLs
-        if (parts.some(part => part === 'api') || 
-            !filename.includes('.') || 
-            script.src.includes('?')) {
-          if (debugMode) {
-            console.log(`%c[Tech Analyzer Debug] %cSkipping relative script: ${script.src}`, 
-              'color: #2b90d9; font-weight: bold;', 'color: inherit;');
-          }
-          return null;
-        }
-        
-        if (debugMode) {
-          console.log(`%c[Tech Analyzer Debug] %cFound relative JS file: ${filename}`, 
-            'color: #2b90d9; font-weight: bold;', 'color: inherit;', {
-              relativePath: script.src
-            });
-        }
-        return filename;
+        debugLog(`Skipping script with unparseable src: ${script.getAttribute('src')}`, e);
       }
-    })
-    .filter(filename => filename); // Remove nulls and empty entries
+    });
     
-  // Ensure we always return something even if no files found
-  if (jsFiles.length === 0) {
-    return ['None found'];
+    addTimingOnly(inventory.scripts, entry =>
+      entry.initiatorType === 'script' || /\.m?js$/i.test(entry.name.split(/[?#]/)[0]));
+    debugLog(`Found ${inventory.scripts.length} scripts`, inventory.scripts);
   }
   
-  return jsFiles;
-}
-
-/**
- * Find all CSS files in the document
- * @param {boolean} debugMode - Whether to enable debug logging
- * @returns {string[]} Array of CSS filenames
- */
-export function findCSSFiles(debugMode = false) {
-  const cssFiles = Array.from(document.querySelectorAll('link[rel="stylesheet"][href]'))
-    .map(link => {
+  if (include.stylesheets) {
+    document.querySelectorAll('link[rel~="stylesheet"][href]').forEach(link => {
       try {
-        const url = new URL(link.href);
-        const pathname = url.pathname;
-        
-        // Skip API calls and non-file URLs (same logic as JS files)
-        if (pathname.includes('/api/') || 
-            pathname.includes('/json') || 
-            url.search || 
-            !pathname.includes('.')) {
-          if (debugMode) {
-            console.log(`%c[Tech Analyzer Debug] %cSkipping stylesheet: ${link.href}`, 
-              'color: #2b90d9; font-weight: bold;', 'color: inherit;');
-          }
-          return null;
-        }
-        
-        // Extract just the filename
-        const filename = pathname.split('/').pop();
-        if (debugMode) {
-          console.log(`%c[Tech Analyzer Debug] %cFound CSS file: ${filename}`, 
-            'color: #2b90d9; font-weight: bold;', 'color: inherit;', {
-              fullUrl: link.href,
-              element: link.outerHTML.slice(0, 100)
-            });
-        }
-        return filename;
+        inventory.stylesheets.push(describeUrl(link.getAttribute('href'), 'dom'));
       } catch (e) {
-        // Fallback for relative URLs
-        const parts = link.href.split('/');
-        const filename = parts.pop();
-        
-        // Apply same filtering to relative URLs
-        if (parts.some(part => part === 'api') || 
-            !filename.includes('.') || 
-            link.href.includes('?')) {
-          if (debugMode) {
-            console.log(`%c[Tech Analyzer Debug] %cSkipping relative stylesheet: ${link.href}`, 
-              'color: #2b90d9; font-weight: bold;', 'color: inherit;');
-          }
-          return null;
-        }
-        
-        if (debugMode) {
-          console.log(`%c[Tech Analyzer Debug] %cFound relative CSS file: ${filename}`, 
-            'color: #2b90d9; font-weight: bold;', 'color: inherit;', {
-              relativePath: link.href
-            });
-        }
-        return filename;
+        debugLog(`Skipping stylesheet with unparseable href: ${link.getAttribute('href')}`, e);
       }
-    })
-    .filter(filename => filename); // Remove nulls and empty entries
+    });
     
-  // Ensure we always return something even if no files found
-  if (cssFiles.length === 0) {
-    return ['None found'];
+    document.querySelectorAll('style').forEach((style, index) => {
+      inventory.stylesheets.push(describeInline(style, `inline <style> #${index + 1}`));
+    });
+    
+    // The 'css' initiator also covers fonts and images loaded through url()
+    addTimingOnly(inventory.stylesheets, entry => /\.css$/i.test(entry.name.split(/[?#]/)[0]));
+    debugLog(`Found ${inventory.stylesheets.length} stylesheets`, inventory.stylesheets);
   }
   
-  return cssFiles;
+  return inventory;
+}
+
+/**
+ * List the absolute URLs of every linked script and stylesheet, for content inspection
+ * @returns {Object} { scripts: string[], stylesheets: string[] }
+ */
+export function listLinkedResources() {
+  return {
+    scripts: Array.from(document.querySelectorAll('script[src]')).map(script => script.src),
+    stylesheets: Array.from(document.querySelectorAll('link[rel~="stylesheet"][href]')).map(link => link.href)
+  };
 }
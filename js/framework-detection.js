@@ -1,409 +1,644 @@
 /**
  * Tech Analyzer Chrome Extension - Framework Detection
- * Handles detection of JavaScript and CSS frameworks with confidence scoring
+ * Interprets the signature database (data/signatures.json) against the current page with confidence scoring
+ *
+ * detectFrameworks is injected into the analyzed page through chrome.scripting.executeScript,
+ * which serializes the function source. It must stay self-contained: no imports and no
+ * references to module-level bindings.
  */
 
-import { createDebugLogger } from './utils.js';
-
-/**
- * Framework detection configuration with confidence scoring system
- */
-export const FRAMEWORK_DETECTION = {
-  js: [
-    {
-      name: 'React',
-      confidence: 0,
-      signals: [
-        { type: 'global', patterns: ['React', 'ReactDOM', '__REACT_DEVTOOLS_GLOBAL_HOOK__'], weight: 3 },
-        { type: 'attribute', patterns: ['data-reactroot', 'data-reactid'], weight: 5 },
-        { type: 'class', patterns: ['react-', '_react'], weight: 2 },
-        { type: 'file', patterns: ['react.js', 'react.min.js', 'react-dom'], weight: 4 }
-      ],
-      minConfidence: 4 // Threshold required to confirm detection
-    },
-    {
-      name: 'Angular',
-      confidence: 0,
-      signals: [
-        { type: 'global', patterns: ['angular', 'ng'], weight: 3 },
-        { type: 'attribute', patterns: ['ng-', 'data-ng-', 'ng:'], weight: 5 },
-        { type: 'dom', test: () => !!document.querySelector('[ng-app],[data-ng-app]'), weight: 5 },
-        { type: 'file', patterns: ['angular.js', 'angular.min.js', 'angular-route'], weight: 4 }
-      ],
-      minConfidence: 5
-    },
-    {
-      name: 'Vue.js',
-      confidence: 0,
-      signals: [
-        { type: 'global', patterns: ['Vue', 'VueRouter', 'Vuex'], weight: 3 },
-        // Fix: only match actual Vue directives (not data-v-*)
-        { type: 'attribute', patterns: ['v-for', 'v-if', 'v-model', 'v-on', 'v-bind', 'v-show'], weight: 5 },
-        { type: 'dom', test: () => !!document.querySelector('[v-cloak],[v-text],[v-html]'), weight: 4 },
-        { type: 'file', patterns: ['vue.js', 'vue.min.js', 'vue-router'], weight: 4 }
-      ],
-      minConfidence: 5 // Increased threshold to avoid false positives
-    },
-    {
-      name: 'jQuery',
-      confidence: 0,
-      signals: [
-        { type: 'global', patterns: ['$', 'jQuery'], weight: 5 },
-        { type: 'dom', test: () => typeof window.jQuery === 'function' || typeof window.$ === 'function', weight: 5 },
-        { type: 'file', patterns: ['jquery.min.js', 'jquery.js', 'jquery-'], weight: 3 }
-      ],
-      minConfidence: 5
-    },
-    {
-      name: 'Alpine.js',
-      confidence: 0,
-      signals: [
-        { type: 'global', patterns: ['Alpine'], weight: 5 },
-        { type: 'attribute', patterns: ['x-data', 'x-bind', 'x-on', 'x-model'], weight: 5 },
-        { type: 'file', patterns: ['alpine.js', 'alpine.min.js'], weight: 4 }
-      ],
-      minConfidence: 5
-    },
-    {
-      name: 'Next.js',
-      confidence: 0,
-      signals: [
-        { type: 'global', patterns: ['__NEXT_DATA__', '__NEXT_LOADED_PAGES__'], weight: 5 },
-        { type: 'dom', test: () => !!document.getElementById('__next'), weight: 4 },
-        { type: 'dom', test: () => !!document.querySelector('script#__NEXT_DATA__'), weight: 5 },
-        { type: 'file', patterns: ['_next/static', '_next/'], weight: 4 }
-      ],
-      minConfidence: 5
-    },
-    {
-      name: 'Nuxt.js',
-      confidence: 0,
-      signals: [
-        { type: 'global', patterns: ['__NUXT__', '$nuxt'], weight: 5 },
-        { type: 'dom', test: () => !!document.getElementById('__nuxt'), weight: 4 },
-        { type: 'dom', test: () => !!document.querySelector('[data-n-head]'), weight: 4 },
-        { type: 'file', patterns: ['/_nuxt/'], weight: 3 }
-      ],
-      minConfidence: 5
-    },
-    {
-      name: 'Ember.js',
-      confidence: 0,
-      signals: [
-        { type: 'global', patterns: ['Ember', 'Em'], weight: 4 },
-        { type: 'dom', test: () => !!document.querySelector('[data-ember-action]'), weight: 5 },
-        { type: 'class', patterns: ['ember-view', 'ember-application'], weight: 5 },
-        { type: 'file', patterns: ['ember.js', 'ember.min.js'], weight: 3 }
-      ],
-      minConfidence: 5
-    }
-  ],
-  css: [
-    {
-      name: 'Bootstrap',
-      confidence: 0,
-      signals: [
-        { type: 'class', patterns: ['navbar-', 'btn-', 'col-md-', 'col-sm-', 'col-lg-'], weight: 4 },
-        { type: 'file', patterns: ['bootstrap.css', 'bootstrap.min.css'], weight: 5 },
-        { type: 'dom', test: () => !!document.querySelector('.navbar,.container-fluid,.row,.col-'), weight: 3 }
-      ],
-      minConfidence: 5
-    },
-    {
-      name: 'Tailwind CSS',
-      confidence: 0,
-      signals: [
-        { type: 'class', patterns: ['bg-blue-', 'text-', 'px-', 'py-', 'flex', 'grid-cols-'], weight: 4 },
-        { type: 'file', patterns: ['tailwind.css', 'tailwind.min.css'], weight: 5 },
-        { type: 'dom', test: () => {
-          const classes = Array.from(document.querySelectorAll('[class]')).map(el => 
-            typeof el.className === 'string' ? el.className : (el.className.baseVal || '')
-          ).join(' ');
-          // Check for multiple utility classes that are common in Tailwind
-          return (/\b(flex|grid)\b/.test(classes) && 
-                 /\b(px|py|mx|my)-[0-9]/.test(classes) && 
-                 /\b(text|bg|border)-(gray|red|blue|green)-[0-9]/.test(classes));
-        }, weight: 5 }
-      ],
-      minConfidence: 7
-    },
-    {
-      name: 'Material UI',
-      confidence: 0,
-      signals: [
-        { type: 'class', patterns: ['MuiButton-', 'MuiInput-', 'MuiTypography-', 'makeStyles-'], weight: 5 },
-        { type: 'file', patterns: ['material-ui', 'mui'], weight: 3 },
-        { type: 'dom', test: () => !!document.querySelector('[class*="MuiButton"],[class*="MuiInput"],[class*="MuiPaper"]'), weight: 5 }
-      ],
-      minConfidence: 5
-    },
-    {
-      name: 'Semantic UI',
-      confidence: 0,
-      signals: [
-        { type: 'class', patterns: ['ui segment', 'ui grid', 'ui button', 'ui menu'], weight: 5 },
-        { type: 'file', patterns: ['semantic.min.css', 'semantic.css', 'semantic-ui'], weight: 4 },
-        { type: 'dom', test: () => {
-          const hasUIClasses = !!document.querySelector('.ui.button,.ui.grid,.ui.menu,.ui.form');
-          return hasUIClasses;
-        }, weight: 4 }
-      ],
-      minConfidence: 5
-    },
-    {
-      name: 'Chakra UI',
-      confidence: 0,
-      signals: [
-        { type: 'class', patterns: ['chakra-', 'css-'], weight: 3 },
-        { type: 'dom', test: () => !!document.querySelector('[data-chakra-component]'), weight: 5 },
-        { type: 'global', patterns: ['ChakraProvider'], weight: 5 }
-      ],
-      minConfidence: 5
-    }
-  ]
-};
-
 /**
  * Detects frameworks on the page based on confidence scoring
+ *
+ * Each framework in the signature database lists weighted signals. Supported signal types:
+ * - global: window properties named in `patterns` (each match adds the weight), read from
+ *   the main-world summary produced by probeGlobals; a trailing "*" matches a name prefix
+ * - attribute: elements carrying an attribute from `patterns` (also matched with a data- prefix)
+ * - class: elements whose class list contains a substring from `patterns`
+ * - file: script URLs containing a pattern (full weight) or page source mentions (weight 1)
+ * - header: a response header `name`, optionally with a `pattern` (case-insensitive regex) its value
+ *   must match, checked on the main document first and then on key assets
+ * - content: regexes matched against the fetched text of scripts and stylesheets (banners,
+ *   license headers, minified fingerprints), optionally limited by `in` to 'script' or 'stylesheet'.
+ *   With `in: 'sourcemap'` they match the `sources` paths of the files' source maps instead.
+ *   Matching happens in the extension (inspectResources); this engine scores the matches.
+ * - dom: one declarative rule, scored once when it passes:
+ *     selector (+ optional minCount)        - elements matching a CSS selector
+ *     selectors + minMatches                - at least N of several selectors match
+ *     classPatterns (+ density thresholds)  - regexes over sampled class lists
+ *     classNames (+ optional minCount)      - regexes over individual class names, e.g. generated
+ *                                             CSS-in-JS or CSS Modules names; distinct matches are counted
+ *     resourceUrls (+ optional minCount)    - regexes over script and stylesheet URLs, e.g. a bundler's
+ *                                             hashed output names; distinct matches are counted
+ *     globalPaths (+ optional typeOf)       - dotted window paths that resolve (from the probe summary)
+ *     stylesheetText                        - text found in the first rules of readable stylesheets
+ *
+ * @param {Object} signatures - Parsed signature database
  * @param {Object} options - Detection options
- * @returns {Object} Object containing detected frameworks
+ * @param {Object} globals - Main-world global summary from probeGlobals, keyed by dotted path
+ * @param {Object|null} observed - Record from the content-script observer (content.js): scripts,
+ *   stylesheets and root markers seen since the page loaded, or null when unavailable
+ * @param {Object|null} inspected - Result of inspectResources: banners and content matches from
+ *   the fetched text of linked files, or null when content inspection did not run
+ * @param {Object|null} headers - Response headers of the document and key assets (getTabHeaders),
+ *   or null when unavailable
+ * @returns {Promise<Object>} Detected frameworks per category (jsFrameworks, cssFrameworks, styling,
+ *   buildTools, services, platforms, infrastructure) plus near misses. Each finding has name,
+ *   category, score, threshold, version, versionSource, ids, components and the matched signals
+ *   with evidence. `ids` (account or container IDs) and `components` (themes, plugins) come from
+ *   the framework's extractors and are filled for detected frameworks only; each extractor has a
+ *   label plus one of a `pattern` (regex with capture group 1, matched against resource URLs and
+ *   inline script text), an `attribute` read from any element carrying it, or a `global` path
+ *   read from the probe summary.
  */
-export function detectFrameworks(options = {}) {
-  // Set up debug logger
-  const debugLog = createDebugLogger(options.debugMode);
-  
-  // Create the findings results object
-  const findings = {
-    jsFrameworks: [],
-    cssFrameworks: []
+export async function detectFrameworks(signatures, options = {}, globals = {}, observed = null, inspected = null, headers = null) {
+  // Set up debug logger (inlined because this function runs in the page)
+  const debugLog = options.debugMode
+    ? (message, data) => console.log(`%c[Tech Analyzer Debug] %c${message}`, 'color: #2b90d9; font-weight: bold;', 'color: inherit;', data || '')
+    : () => {}; // No-op function when debug mode is off
+
+  // Maximum number of characters read from the top of an inline or same-origin stylesheet when looking for banner comments
+  const BANNER_LENGTH = 2000;
+
+  // Resources the observer saw since page load, including ones no longer (or never) in the DOM
+  const observedScripts = observed ? observed.scripts.map(item => item.url) : [];
+  const observedStylesheets = observed ? observed.stylesheets.map(item => item.url) : [];
+
+  // Root markers the observer snapshotted, parsed into an inert template so selector rules can
+  // match markers that were unmounted again (e.g. by a client-side route change)
+  const markerRoot = document.createElement('template');
+  markerRoot.innerHTML = observed ? observed.markers.map(marker => marker.html).join('') : '';
+
+  // Safely read className, which is an SVGAnimatedString on SVG elements
+  function getClassName(el) {
+    return typeof el.className === 'string' ? el.className : (el.className.baseVal || '');
+  }
+
+  // Look up a dotted global path such as "jQuery.fn.jquery" in the main-world probe summary.
+  // This code runs in the isolated world, where window would not expose the page's globals.
+  function readGlobal(path) {
+    return globals[path] || null;
+  }
+
+  // Text that ID extractors search: every resource URL and the body of inline scripts
+  const idSources = {
+    urls: [
+      ...Array.from(document.querySelectorAll('script[src]')).map(script => script.src),
+      ...Array.from(document.querySelectorAll('link[href]')).map(link => link.href),
+      ...Array.from(document.querySelectorAll('iframe[src]')).map(frame => frame.src),
+      ...Array.from(document.querySelectorAll('img[src]')).map(image => image.src),
+      ...observedScripts
+    ],
+    inlineScripts: Array.from(document.querySelectorAll('script:not([src])')).map(script => script.textContent)
   };
-  
-  // Detect JS frameworks
-  if (options.jsFrameworks) {
-    findings.jsFrameworks = getDetectedFrameworks(FRAMEWORK_DETECTION.js, options, debugLog);
-    
-    // Ensure we always return something even if no frameworks detected
-    if (findings.jsFrameworks.length === 0) {
-      findings.jsFrameworks.push('None detected');
+
+  // Content signal matches found by the extension, keyed by pattern
+  const contentMatches = inspected ? inspected.contentMatches : {};
+
+  // Elements with a class, shared by class signals and class name rules
+  const classElements = Array.from(document.querySelectorAll('[class]'));
+
+  // Read the leading text of stylesheets and scripts so banner comments can be matched.
+  // The CSSOM drops comments, so inline <style> blocks are read directly. Linked files come from
+  // the extension's content inspection; without it, same-origin sheets are fetched here instead.
+  async function collectBanners() {
+    const banners = Array.from(document.querySelectorAll('style')).map(style => ({
+      source: 'inline <style>',
+      text: style.textContent.slice(0, BANNER_LENGTH)
+    }));
+
+    if (inspected) {
+      return banners.concat(inspected.banners);
     }
+
+    const sameOriginLinks = Array.from(document.querySelectorAll('link[rel="stylesheet"][href]'))
+      .filter(link => {
+        try {
+          return new URL(link.href).origin === location.origin;
+        } catch (e) {
+          return false;
+        }
+      });
+
+    await Promise.all(sameOriginLinks.map(async link => {
+      try {
+        const response = await fetch(link.href, { cache: 'force-cache' });
+        if (response.ok) {
+          const text = await response.text();
+          banners.push({ source: link.href, text: text.slice(0, BANNER_LENGTH) });
+        }
+      } catch (e) {
+        debugLog(`Could not read stylesheet banner: ${link.href}`, e);
+      }
+    }));
+
+    return banners;
   }
-  
-  // Detect CSS frameworks
-  if (options.cssFrameworks) {
-    findings.cssFrameworks = getDetectedFrameworks(FRAMEWORK_DETECTION.css, options, debugLog);
-    
-    // Ensure we always return something even if no frameworks detected
-    if (findings.cssFrameworks.length === 0) {
-      findings.cssFrameworks.push('None detected');
+
+  // Resolve a framework's version from globals, attributes, response headers, generator meta tags,
+  // file banners or resource URLs, in that order. A pattern that matches without capturing a
+  // version (no group, or an empty one) falls through to the next source.
+  function detectFrameworkVersion(framework, banners) {
+    const spec = framework.version;
+    if (!spec) return null;
+
+    for (const path of spec.globals || []) {
+      const entry = readGlobal(path);
+      if (entry && entry.type === 'string' && entry.value) {
+        return { version: entry.value, source: { type: 'global', detail: path } };
+      }
+    }
+
+    for (const attribute of spec.attributes || []) {
+      const element = document.querySelector(`[${attribute}]`);
+      if (element && element.getAttribute(attribute)) {
+        return { version: element.getAttribute(attribute), source: { type: 'attribute', detail: attribute } };
+      }
+    }
+
+    for (const { name, pattern } of spec.headers || []) {
+      const evidence = matchHeader(name, pattern);
+      const match = evidence && evidence.sample.slice(name.length + 2).match(new RegExp(pattern, 'i'));
+      if (match && match[1]) {
+        return { version: match[1], source: { type: 'header', detail: evidence.sample } };
+      }
     }
+
+    const generators = Array.from(document.querySelectorAll('meta[name="generator" i][content]'))
+      .map(meta => meta.getAttribute('content'));
+    for (const pattern of spec.meta || []) {
+      const regex = new RegExp(pattern, 'i');
+      for (const generator of generators) {
+        const match = generator.match(regex);
+        if (match && match[1]) {
+          return { version: match[1], source: { type: 'meta', detail: generator } };
+        }
+      }
+    }
+
+    for (const pattern of spec.banners || []) {
+      const regex = new RegExp(pattern, 'i');
+      for (const banner of banners) {
+        const match = banner.text.match(regex);
+        if (match && match[1]) {
+          return { version: match[1], source: { type: 'banner', detail: banner.source } };
+        }
+      }
+    }
+
+    if (spec.urls) {
+      const resourceUrls = [
+        ...Array.from(document.querySelectorAll('script[src]')).map(script => script.src),
+        ...Array.from(document.querySelectorAll('link[rel="stylesheet"][href]')).map(link => link.href),
+        ...observedScripts,
+        ...observedStylesheets
+      ];
+      for (const pattern of spec.urls) {
+        const regex = new RegExp(pattern, 'i');
+        for (const url of resourceUrls) {
+          const match = url.match(regex);
+          if (match && match[1]) {
+            return { version: match[1], source: { type: 'url', detail: url } };
+          }
+        }
+      }
+    }
+
+    return null;
   }
-  
-  return findings;
-}
 
-/**
- * Helper for determining detected frameworks by threshold
- * @param {Array} frameworkList - List of frameworks to detect
- * @param {Object} options - Detection options
- * @param {Function} debugLog - Function for debug logging
- * @returns {Array} Array of detected framework names
- */
-function getDetectedFrameworks(frameworkList, options, debugLog) {
-  // Create a fresh findings array
-  const detectedFrameworks = [];
-  
-  // Process each framework
-  frameworkList.forEach(framework => {
-    // Reset confidence for this framework
-    framework.confidence = 0;
-    const detectionDetails = [];
-    
-    // Evaluate each signal for this framework
-    framework.signals.forEach(signal => {
-      // Track signal detection details
-      const signalResults = { 
-        type: signal.type, 
-        weight: signal.weight,
-        detected: false,
-        details: []
-      };
-      
-      // Check for global variables in window object
-      if (signal.type === 'global' && signal.patterns) {
-        signal.patterns.forEach(pattern => {
-          if (window[pattern]) {
-            framework.confidence += signal.weight;
-            signalResults.detected = true;
-            signalResults.details.push(`Found global variable: ${pattern}`);
-            
-            // Add value type information for debugging
-            if (options.debugMode) {
-              const type = typeof window[pattern];
-              const isFunction = type === 'function';
-              const preview = isFunction ? 'function()' : 
-                           (type === 'object' ? (window[pattern] === null ? 'null' : '{}') : 
-                           String(window[pattern]).slice(0, 50));
-              signalResults.details.push(`Type: ${type}, Value: ${preview}`);
-            }
+  // Find a response header on the document, then on key assets. Returns evidence or null.
+  function matchHeader(name, pattern) {
+    if (!headers) return null;
+    const regex = pattern ? new RegExp(pattern, 'i') : null;
+    const responses = [{ url: headers.url, headers: headers.headers }, ...headers.assets];
+
+    for (const response of responses) {
+      const value = response.headers[name];
+      if (value !== undefined && (!regex || regex.test(value))) {
+        const where = response === responses[0] ? 'document' : response.url;
+        return { match: `Header ${name} on ${where}`, sample: `${name}: ${value}` };
+      }
+    }
+    return null;
+  }
+
+  // Run a framework's ID or component extractors (e.g. GA measurement IDs, WordPress plugin slugs)
+  function runExtractors(framework, extractors) {
+    const results = [];
+    const seen = new Set();
+    const add = (label, value, source) => {
+      if (!value || seen.has(`${label}:${value}`)) return;
+      seen.add(`${label}:${value}`);
+      results.push({ label, value, source });
+    };
+
+    (extractors || []).forEach(extractor => {
+      try {
+        if (extractor.global) {
+          const entry = readGlobal(extractor.global);
+          if (entry && entry.value !== null) add(extractor.label, entry.value, extractor.global);
+        }
+        if (extractor.attribute) {
+          document.querySelectorAll(`[${extractor.attribute}]`).forEach(element => {
+            add(extractor.label, element.getAttribute(extractor.attribute), `[${extractor.attribute}]`);
+          });
+        }
+        if (extractor.pattern) {
+          const regex = new RegExp(extractor.pattern, 'g');
+          idSources.urls.forEach(url => {
+            for (const match of url.matchAll(regex)) add(extractor.label, match[1], url);
+          });
+          idSources.inlineScripts.forEach(text => {
+            for (const match of text.matchAll(regex)) add(extractor.label, match[1], 'inline script');
+          });
+        }
+      } catch (e) {
+        debugLog(`Extractor failed for ${framework.name}`, e);
+      }
+    });
+
+    return results;
+  }
+
+  // Short HTML sample of an element for evidence display
+  function elementSample(el) {
+    const html = el.outerHTML;
+    return html.length > 150 ? `${html.slice(0, 150)}...` : html;
+  }
+
+  // Evaluate a declarative dom rule, returning evidence ({ match, sample }) or null
+  function evaluateDomRule(rule) {
+    // Single selector, optionally requiring a minimum element count
+    if (rule.selector) {
+      const elements = document.querySelectorAll(rule.selector);
+      if (elements.length >= (rule.minCount || 1)) {
+        return { match: `${elements.length} elements match ${rule.selector}`, sample: elementSample(elements[0]) };
+      }
+
+      // Fall back to root markers the observer saw earlier in the page's life
+      const observedMarker = (rule.minCount || 1) === 1 ? markerRoot.content.querySelector(rule.selector) : null;
+      return observedMarker
+        ? { match: `Observed after page load: ${rule.selector}`, sample: observedMarker.outerHTML }
+        : null;
+    }
+
+    // Several selectors, of which at least minMatches must match
+    if (rule.selectors) {
+      const matched = [];
+      rule.selectors.forEach(selector => {
+        try {
+          const element = document.querySelector(selector);
+          if (element) matched.push({ selector, element });
+        } catch (e) {
+          // Ignore invalid selector errors
+        }
+      });
+      debugLog(`Selector matches (${matched.length}/${rule.minMatches || 1} required)`, matched.map(m => m.selector));
+      return matched.length >= (rule.minMatches || 1)
+        ? { match: `Matched ${matched.length} selectors: ${matched.map(m => m.selector).join(' | ')}`, sample: elementSample(matched[0].element) }
+        : null;
+    }
+
+    // Regexes over class lists. With density thresholds, a sample of elements is scored
+    // per element; without them every pattern must appear somewhere on the page.
+    if (rule.classPatterns) {
+      const patterns = rule.classPatterns.map(pattern => new RegExp(pattern));
+      const elements = Array.from(document.querySelectorAll('body *[class]')).slice(0, rule.sampleSize || Infinity);
+      if (elements.length === 0) return null;
+
+      if (rule.minDensity === undefined && rule.minElements === undefined) {
+        const classes = elements.map(getClassName).join(' ');
+        return patterns.every(pattern => pattern.test(classes))
+          ? { match: `All ${patterns.length} class patterns found`, sample: null }
+          : null;
+      }
+
+      let matchingElements = 0;
+      let denseElements = 0;
+      let denseSample = null;
+      for (const el of elements) {
+        const classList = getClassName(el).split(/\s+/);
+        const matchedPatterns = patterns.filter(pattern => classList.some(cls => pattern.test(cls))).length;
+        if (matchedPatterns > 0) matchingElements++;
+        if (matchedPatterns >= (rule.minPatternsPerElement || 1)) {
+          denseElements++;
+          denseSample = denseSample || el;
+        }
+      }
+
+      const density = matchingElements / elements.length;
+      debugLog('Class pattern density stats:', {
+        totalElementsChecked: elements.length,
+        elementsWithMatchingClasses: matchingElements,
+        elementsWithMultiplePatterns: denseElements,
+        density
+      });
+
+      return density > (rule.minDensity || 0) && denseElements >= (rule.minElements || 1)
+        ? {
+            match: `${matchingElements}/${elements.length} sampled elements match class patterns (${denseElements} with ${rule.minPatternsPerElement || 1}+)`,
+            sample: denseSample ? elementSample(denseSample) : null
           }
-        });
+        : null;
+    }
+
+    // Regexes over the page's distinct class names, with example names as evidence
+    if (rule.classNames) {
+      const regexes = rule.classNames.map(pattern => new RegExp(pattern));
+      const names = new Set();
+      classElements.forEach(el => getClassName(el).split(/\s+/).forEach(name => name && names.add(name)));
+      const matched = Array.from(names).filter(name => regexes.some(regex => regex.test(name)));
+      debugLog(`Generated class names (${matched.length}/${rule.minCount || 1} required)`, matched.slice(0, 20));
+      return matched.length >= (rule.minCount || 1)
+        ? {
+            match: `${matched.length} of ${names.size} class names match, e.g. ${matched.slice(0, 3).join(', ')}`,
+            sample: matched.slice(0, 10).join(' ')
+          }
+        : null;
+    }
+
+    // Regexes over the URLs of loaded and observed scripts and stylesheets, with example URLs as evidence
+    if (rule.resourceUrls) {
+      const regexes = rule.resourceUrls.map(pattern => new RegExp(pattern));
+      const urls = new Set([
+        ...Array.from(document.querySelectorAll('script[src]')).map(script => script.src),
+        ...Array.from(document.querySelectorAll('link[rel~="stylesheet"][href], link[rel="modulepreload"][href]')).map(link => link.href),
+        ...observedScripts,
+        ...observedStylesheets
+      ]);
+      const matched = Array.from(urls).filter(url => regexes.some(regex => regex.test(url.split(/[?#]/)[0])));
+      debugLog(`Resource URLs (${matched.length}/${rule.minCount || 1} required)`, matched.slice(0, 20));
+      return matched.length >= (rule.minCount || 1)
+        ? {
+            match: `${matched.length} of ${urls.size} script and stylesheet URLs match, e.g. ${matched.slice(0, 2).join(', ')}`,
+            sample: matched.slice(0, 5).join('\n')
+          }
+        : null;
+    }
+
+    // Dotted global paths, optionally requiring a typeof result
+    if (rule.globalPaths) {
+      const found = rule.globalPaths.find(path => {
+        const entry = readGlobal(path);
+        return entry && (rule.typeOf ? entry.type === rule.typeOf : entry.truthy);
+      });
+      if (!found) return null;
+      const entry = readGlobal(found);
+      return { match: `Global ${found}`, sample: entry.value !== null ? `${entry.type}: ${entry.value}` : entry.type };
+    }
+
+    // Text in the first rules of stylesheets the page lets us read (cross-origin sheets throw)
+    if (rule.stylesheetText) {
+      for (const sheet of document.styleSheets) {
+        try {
+          if (!sheet.cssRules) continue;
+          const cssText = Array.from(sheet.cssRules).slice(0, 5).map(cssRule => cssRule.cssText).join(' ');
+          const found = rule.stylesheetText.find(text => cssText.includes(text));
+          if (found) {
+            debugLog(`Found "${found}" in stylesheet`, { sheetHref: sheet.href, sampleText: cssText.slice(0, 100) });
+            return { match: `Stylesheet ${sheet.href || '(inline)'} contains "${found}"`, sample: cssText.slice(0, 150) };
+          }
+        } catch (e) {
+          // CORS errors when accessing cross-origin stylesheets - ignore
+        }
       }
-      
-      // Check for script sources and file patterns
-      if (signal.type === 'file' && signal.patterns) {
-        const scriptTags = Array.from(document.querySelectorAll('script[src]'));
-        const scriptSrcs = scriptTags.map(tag => tag.src.toLowerCase());
-        const pageSource = document.documentElement.outerHTML.toLowerCase();
-        
-        signal.patterns.forEach(pattern => {
-          const patternLower = pattern.toLowerCase();
-          const matchingSrc = scriptSrcs.find(src => src.includes(patternLower));
-          
-          if (matchingSrc) {
-            framework.confidence += signal.weight;
-            signalResults.detected = true;
-            signalResults.details.push(`Found script src: ${matchingSrc}`);
-            
-            // Add detailed source information for debugging
-            if (options.debugMode) {
-              // Find the actual script tag with this source
-              const matchingTag = scriptTags.find(tag => tag.src.toLowerCase().includes(patternLower));
-              if (matchingTag) {
-                debugLog(`Script file matching "${pattern}":`, {
-                  fullUrl: matchingTag.src,
-                  tag: matchingTag.outerHTML.slice(0, 150) + (matchingTag.outerHTML.length > 150 ? '...' : '')
-                });
-              }
+      return null;
+    }
+
+    return null;
+  }
+
+  // Score every framework in a category. Frameworks that reach minConfidence are detected;
+  // those that scored above zero but fell short are returned as near misses.
+  function scoreFrameworks(frameworkList, category, banners) {
+    const detected = [];
+    const nearMisses = [];
+
+    // Page data shared by every file signal
+    const scriptTags = Array.from(document.querySelectorAll('script[src]'));
+    const pageSource = document.documentElement.outerHTML.toLowerCase();
+
+    // Process each framework
+    frameworkList.forEach(framework => {
+      let score = 0;
+      const matchedSignals = [];
+
+      // Evaluate each signal for this framework
+      framework.signals.forEach(signal => {
+        // Track the points and evidence this signal contributes
+        const signalResult = {
+          type: signal.type,
+          weight: signal.weight,
+          points: 0,
+          evidence: []
+        };
+
+        // Check for global variables in the page's window object
+        if (signal.type === 'global' && signal.patterns) {
+          signal.patterns.forEach(pattern => {
+            const entry = readGlobal(pattern);
+            if (entry && entry.truthy) {
+              signalResult.points += signal.weight;
+              const preview = entry.type === 'function' ? 'function()' :
+                           (entry.type === 'object' ? '{}' : String(entry.value).slice(0, 50));
+              signalResult.evidence.push({ match: `Global ${entry.name || pattern}`, sample: `${entry.type}: ${preview}` });
             }
-          } else if (pageSource.includes(patternLower)) {
-            // Lower weight if just mentioned in source but not as a script
-            framework.confidence += 1;
-            signalResults.detected = true;
-            signalResults.details.push(`Found pattern in page source: ${pattern}`);
-            
-            // Show context of the match in page source
-            if (options.debugMode) {
+          });
+        }
+
+        // Check for script sources and file patterns
+        if (signal.type === 'file' && signal.patterns) {
+          signal.patterns.forEach(pattern => {
+            const patternLower = pattern.toLowerCase();
+            const matchingTag = scriptTags.find(tag => tag.src.toLowerCase().includes(patternLower));
+
+            const observedUrl = matchingTag ? null : observedScripts.find(url => url.toLowerCase().includes(patternLower));
+
+            if (matchingTag) {
+              signalResult.points += signal.weight;
+              signalResult.evidence.push({ match: `Script ${matchingTag.src}`, sample: elementSample(matchingTag) });
+            } else if (observedUrl) {
+              // Loaded after the initial page load (lazy chunk, dynamic import or a later route)
+              signalResult.points += signal.weight;
+              signalResult.evidence.push({ match: `Script loaded after page load ${observedUrl}`, sample: null });
+            } else if (pageSource.includes(patternLower)) {
+              // Lower weight if just mentioned in source but not as a script
+              signalResult.points += 1;
+
+              // Keep the context of the match in page source
               const index = pageSource.indexOf(patternLower);
               const start = Math.max(0, index - 50);
               const end = Math.min(pageSource.length, index + patternLower.length + 50);
-              const context = pageSource.substring(start, end);
-              debugLog(`Source context containing "${pattern}":`, `...${context}...`);
+              signalResult.evidence.push({ match: `Page source mentions "${pattern}"`, sample: `...${pageSource.substring(start, end)}...` });
             }
-          }
-        });
-      }
-      
-      // Check for DOM attributes (with error handling)
-      if (signal.type === 'attribute' && signal.patterns) {
-        signal.patterns.forEach(pattern => {
-          const selector = `[${pattern}],[data-${pattern}]`;
+          });
+        }
+
+        // Check for response headers
+        if (signal.type === 'header' && signal.name) {
           try {
-            const matchingElements = document.querySelectorAll(selector);
-            if (matchingElements.length > 0) {
-              framework.confidence += signal.weight;
-              signalResults.detected = true;
-              signalResults.details.push(`Found ${matchingElements.length} elements with attribute: ${pattern}`);
-              
-              // Add detailed element information for debugging
-              if (options.debugMode) {
-                debugLog(`Detected ${matchingElements.length} elements with attribute: ${pattern}`);
-                
-                const elementDetails = Array.from(matchingElements).slice(0, 3).map(el => {
-                  // Get element tag and a sample of its HTML
-                  const tagName = el.tagName.toLowerCase();
-                  const snippet = el.outerHTML.slice(0, 100) + (el.outerHTML.length > 100 ? '...' : '');
-                  return `<${tagName}...> ${snippet}`;
-                });
-                signalResults.details.push('Element samples:', elementDetails);
-              }
+            const evidence = matchHeader(signal.name.toLowerCase(), signal.pattern);
+            if (evidence) {
+              signalResult.points += signal.weight;
+              signalResult.evidence.push(evidence);
             }
-          } catch(e) {
-            // Ignore invalid selector errors
+          } catch (e) {
+            debugLog(`Header rule failed for ${framework.name}`, e);
           }
-        });
-      }
-      
-      // Check for class name patterns
-      if (signal.type === 'class' && signal.patterns) {
-        signal.patterns.forEach(pattern => {
-          const elements = Array.from(document.querySelectorAll('[class]'));
-          const patternLower = pattern.toLowerCase();
-          let foundElements = [];
-          
-          for (const el of elements) {
-            // Safely handle className which may not always be a string
-            const className = typeof el.className === 'string' 
-              ? el.className 
-              : (el.className.baseVal || ''); // Handle SVGAnimatedString and other cases
-            
-            if (className.toLowerCase().includes(patternLower)) {
-              foundElements.push(el);
-              framework.confidence += signal.weight;
-              signalResults.detected = true;
-              break; // Only count once per pattern
+        }
+
+        // Check for patterns in the fetched text of linked files
+        if (signal.type === 'content' && signal.patterns) {
+          signal.patterns.forEach(pattern => {
+            // Source map paths only count for signals that ask for them
+            const matches = (contentMatches[pattern] || [])
+              .filter(item => (signal.in ? item.kind === signal.in : item.kind !== 'sourcemap'));
+            if (matches.length > 0) {
+              signalResult.points += signal.weight;
+              const others = matches.length > 1 ? ` (+${matches.length - 1} more)` : '';
+              signalResult.evidence.push({ match: `/${pattern}/ in ${matches[0].url}${others}`, sample: matches[0].sample });
             }
-          }
-          
-          if (foundElements.length > 0) {
-            signalResults.details.push(`Found ${foundElements.length} elements with class matching: ${pattern}`);
-            // Log the first element's class for reference
-            if (foundElements[0]) {
-              const className = typeof foundElements[0].className === 'string' 
-                ? foundElements[0].className 
-                : (foundElements[0].className.baseVal || '');
-              signalResults.details.push(`Example class: ${className}`);
-              
-              // Add more detailed element information
-              if (options.debugMode) {
-                // Get element tag and a snippet of HTML for the first 3 elements
-                const elementDetails = foundElements.slice(0, 3).map(el => {
-                  const tagName = el.tagName.toLowerCase();
-                  const htmlSnippet = el.outerHTML.slice(0, 100) + (el.outerHTML.length > 100 ? '...' : '');
-                  return `<${tagName} class="${typeof el.className === 'string' ? el.className : el.className.baseVal || ''}"...> ${htmlSnippet}`;
+          });
+        }
+
+        // Check for DOM attributes (with error handling)
+        if (signal.type === 'attribute' && signal.patterns) {
+          signal.patterns.forEach(pattern => {
+            const selector = `[${pattern}],[data-${pattern}]`;
+            try {
+              const matchingElements = document.querySelectorAll(selector);
+              if (matchingElements.length > 0) {
+                signalResult.points += signal.weight;
+                signalResult.evidence.push({
+                  match: `${matchingElements.length} elements with attribute ${pattern}`,
+                  sample: elementSample(matchingElements[0])
                 });
-                signalResults.details.push('Element samples with matching classes:', elementDetails);
               }
+            } catch(e) {
+              // Ignore invalid selector errors
             }
+          });
+        }
+
+        // Check for class name patterns
+        if (signal.type === 'class' && signal.patterns) {
+          signal.patterns.forEach(pattern => {
+            const patternLower = pattern.toLowerCase();
+            const foundElement = classElements.find(el => getClassName(el).toLowerCase().includes(patternLower));
+
+            // Only count once per pattern
+            if (foundElement) {
+              signalResult.points += signal.weight;
+              signalResult.evidence.push({ match: `Class matching "${pattern}"`, sample: elementSample(foundElement) });
+            }
+          });
+        }
+
+        // Evaluate declarative DOM structure rules
+        if (signal.type === 'dom') {
+          try {
+            const evidence = evaluateDomRule(signal);
+            if (evidence) {
+              signalResult.points += signal.weight;
+              signalResult.evidence.push(evidence);
+            }
+          } catch(e) {
+            // Ignore rule failures (e.g. invalid selectors or regexes)
+            debugLog(`DOM rule failed for ${framework.name}`, e);
           }
-        });
-      }
-      
-      // Run custom DOM structure tests
-      if (signal.type === 'dom' && typeof signal.test === 'function') {
-        try {
-          if (signal.test()) {
-            framework.confidence += signal.weight;
-            signalResults.detected = true;
-            signalResults.details.push(`DOM structure test passed`);
-          }
-        } catch(e) {
-          // Ignore test failures
         }
+
+        // Keep the signals that contributed to the score
+        if (signalResult.points > 0) {
+          score += signalResult.points;
+          matchedSignals.push(signalResult);
+        }
+      });
+
+      if (score === 0) return;
+
+      const finding = {
+        name: framework.name,
+        category,
+        score,
+        threshold: framework.minConfidence,
+        version: null,
+        versionSource: null,
+        ids: [],
+        components: [],
+        signals: matchedSignals
+      };
+      if (framework.custom) {
+        finding.custom = true;
       }
-      
-      // Save detection details if this signal contributed to detection
-      if (signalResults.detected) {
-        detectionDetails.push(signalResults);
+
+      // Only report frameworks that meet the confidence threshold as detected
+      if (score >= framework.minConfidence) {
+        const versionInfo = detectFrameworkVersion(framework, banners);
+        if (versionInfo) {
+          finding.version = versionInfo.version;
+          finding.versionSource = versionInfo.source;
+        }
+        finding.ids = runExtractors(framework, framework.ids);
+        finding.components = runExtractors(framework, framework.components);
+        detected.push(finding);
+      } else {
+        nearMisses.push(finding);
       }
-    });
-    
-    // Only include frameworks that meet confidence threshold
-    if (framework.confidence >= framework.minConfidence) {
-      detectedFrameworks.push(framework.name);
-      
+
       // Log detailed detection info in debug mode
       if (options.debugMode) {
-        debugLog(`Detected ${framework.name} with confidence score: ${framework.confidence}/${framework.minConfidence}`);
-        
-        detectionDetails.forEach(signal => {
-          debugLog(`Signal type: ${signal.type} (weight: ${signal.weight})`, signal.details);
+        debugLog(`${score >= framework.minConfidence ? 'Detected' : 'Near miss'} ${framework.name} with confidence score: ${score}/${framework.minConfidence}`, finding.versionSource);
+
+        matchedSignals.forEach(signal => {
+          debugLog(`Signal type: ${signal.type} (weight: ${signal.weight}, points: ${signal.points})`, signal.evidence);
         });
-        
+
         // Visual separator for easier reading
         console.log('%c------------------------------------', 'color: #ccc');
       }
-    }
+    });
+
+    return { detected, nearMisses };
+  }
+
+  // Signature categories with the option that enables each and the findings key it fills
+  const categories = [
+    { category: 'js', enabled: options.jsFrameworks, key: 'jsFrameworks' },
+    { category: 'css', enabled: options.cssFrameworks, key: 'cssFrameworks' },
+    { category: 'styling', enabled: options.styling, key: 'styling' },
+    { category: 'build', enabled: options.buildTools, key: 'buildTools' },
+    { category: 'services', enabled: options.services, key: 'services' },
+    { category: 'platforms', enabled: options.platforms, key: 'platforms' },
+    { category: 'infrastructure', enabled: options.infrastructure, key: 'infrastructure' }
+  ];
+
+  // Create the findings results object
+  const findings = {
+    jsFrameworks: [],
+    cssFrameworks: [],
+    styling: [],
+    buildTools: [],
+    services: [],
+    platforms: [],
+    infrastructure: [],
+    nearMisses: []
+  };
+
+  const enabledCategories = categories.filter(item => item.enabled && signatures.categories[item.category]);
+  if (enabledCategories.length === 0) {
+    return findings;
+  }
+
+  // File banners are shared by every framework's version lookup
+  const banners = await collectBanners();
+
+  enabledCategories.forEach(({ category, key }) => {
+    const results = scoreFrameworks(signatures.categories[category], category, banners);
+    findings[key] = results.detected;
+    findings.nearMisses.push(...results.nearMisses);
   });
-  
-  return detectedFrameworks;
+
+  return findings;
 }
@@ -0,0 +1,48 @@
+/**
+ * Tech Analyzer Chrome Extension - Global Probe
+ * Reads page globals from the page's main world, where the isolated content-script world can't see them
+ *
+ * probeGlobals is injected through chrome.scripting.executeScript with world: 'MAIN' and must stay
+ * self-contained. It only reads properties - it never calls page functions - and returns a
+ * serializable summary that the detection engine scores against.
+ */
+
+/**
+ * Read a list of dotted global paths (e.g. "React.version") from the page's window. A path of a
+ * single name ending in "*" (e.g. "webpackChunk*") matches the first window property with that
+ * prefix, for globals named after the app such as webpack's chunk array.
+ * @param {string[]} paths - Dotted property paths or prefix patterns to read
+ * @returns {Object} Map of path to { type, truthy, value } for every path that exists.
+ *   value holds a preview of primitive values and is null for objects and functions.
+ *   Prefix patterns also give the matched property's `name`.
+ */
+export function probeGlobals(paths) {
+  const summary = {};
+  const windowKeys = paths.some(path => path.endsWith('*')) ? Object.keys(window) : [];
+  
+  paths.forEach(path => {
+    try {
+      let name = null;
+      if (path.endsWith('*')) {
+        name = windowKeys.find(key => key.startsWith(path.slice(0, -1)));
+        if (!name) return;
+      }
+      const value = name ? window[name] : path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), window);
+      if (value === undefined) return;
+      
+      const type = value === null ? 'null' : typeof value;
+      summary[path] = {
+        type,
+        truthy: !!value,
+        value: ['string', 'number', 'boolean'].includes(type) ? String(value).slice(0, 100) : null
+      };
+      if (name) {
+        summary[path].name = name;
+      }
+    } catch (e) {
+      // Getters and proxies on page globals can throw - treat the path as missing
+    }
+  });
+  
+  return summary;
+}
@@ -0,0 +1,142 @@
+/**
+ * Tech Analyzer Chrome Extension - Response Headers
+ * Captures the response headers of each tab's main document and key assets in the service worker,
+ * and reads them back for analysis
+ *
+ * webRequest only reports requests to hosts the extension has access to (background-mode hosts).
+ * When nothing was captured but the host is accessible, fetchDocumentHeaders asks again with a
+ * HEAD request; otherwise the headers are reported as unavailable.
+ */
+
+/**
+ * Maximum number of script and stylesheet responses kept per tab besides the document
+ */
+export const MAX_ASSET_HEADERS = 20;
+
+// Per-tab write queues, so asset responses arriving together don't overwrite each other
+const pendingWrites = new Map();
+
+/**
+ * Build the session storage key for a tab's headers
+ * @param {number} tabId - Tab id
+ * @returns {string} Storage key
+ */
+function getHeadersKey(tabId) {
+  return `tabHeaders:${tabId}`;
+}
+
+/**
+ * Convert webRequest or fetch headers to a plain object with lower-case names
+ * @param {Array|Headers} headers - [{ name, value }] from webRequest, or a fetch Headers object
+ * @returns {Object} Map of header name to value (repeated headers joined with ", ")
+ */
+function toHeaderMap(headers) {
+  const map = {};
+  const entries = Array.isArray(headers) ? headers.map(header => [header.name, header.value]) : Array.from(headers.entries());
+  entries.forEach(([name, value]) => {
+    const key = name.toLowerCase();
+    map[key] = map[key] ? `${map[key]}, ${value}` : value;
+  });
+  return map;
+}
+
+/**
+ * Record a response from chrome.webRequest.onHeadersReceived. A main-frame response starts a new
+ * record for the tab; script and stylesheet responses are added to it as key assets.
+ * @param {Object} details - webRequest details with responseHeaders
+ * @returns {Promise<void>}
+ */
+export function recordResponseHeaders(details) {
+  const { tabId } = details;
+  const previous = pendingWrites.get(tabId) || Promise.resolve();
+  
+  const write = previous.then(async () => {
+    const key = getHeadersKey(tabId);
+    const headers = toHeaderMap(details.responseHeaders || []);
+    
+    if (details.type === 'main_frame') {
+      await chrome.storage.session.set({ [key]: {
+        url: details.url,
+        statusCode: details.statusCode,
+        capturedAt: new Date().toISOString(),
+        source: 'webRequest',
+        headers,
+        assets: []
+      } });
+      return;
+    }
+    
+    const { [key]: record } = await chrome.storage.session.get(key);
+    if (!record || record.assets.length >= MAX_ASSET_HEADERS) {
+      return;
+    }
+    record.assets.push({ url: details.url, type: details.type, statusCode: details.statusCode, headers });
+    await chrome.storage.session.set({ [key]: record });
+  }).catch(error => {
+    console.error('Could not record response headers:', error);
+  });
+  
+  pendingWrites.set(tabId, write);
+  write.then(() => {
+    if (pendingWrites.get(tabId) === write) pendingWrites.delete(tabId);
+  });
+  return write;
+}
+
+/**
+ * Drop a tab's recorded headers
+ * @param {number} tabId - Tab id
+ */
+export async function clearTabHeaders(tabId) {
+  await chrome.storage.session.remove(getHeadersKey(tabId));
+}
+
+/**
+ * Request a document's headers again from the extension. A HEAD request without cookies is used
+ * so the server sees no second page load from the user that could change its state.
+ * @param {string} url - Document URL
+ * @returns {Promise<Object|null>} Header record (without assets), or null if the request failed
+ */
+export async function fetchDocumentHeaders(url) {
+  try {
+    const response = await fetch(url, { method: 'HEAD', credentials: 'omit', cache: 'no-store', redirect: 'follow' });
+    return {
+      url: response.url || url,
+      statusCode: response.status,
+      capturedAt: new Date().toISOString(),
+      source: 'fetch',
+      headers: toHeaderMap(response.headers),
+      assets: []
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Get the response headers for the document loaded in a tab: the record captured while it loaded
+ * when it matches the tab's URL, otherwise a HEAD request when the extension has access to the host
+ * @param {number} tabId - Tab id
+ * @returns {Promise<Object>} { record, reason }: record is { url, statusCode, capturedAt, source,
+ *   headers, assets }, or null with the reason the headers are unavailable
+ */
+export async function getTabHeaders(tabId) {
+  const tab = await chrome.tabs.get(tabId);
+  if (!tab.url || !/^https?:/.test(tab.url)) {
+    return { record: null, reason: 'Not a web page' };
+  }
+  
+  const key = getHeadersKey(tabId);
+  const { [key]: record } = await chrome.storage.session.get(key);
+  if (record && record.url.split('#')[0] === tab.url.split('#')[0]) {
+    return { record, reason: null };
+  }
+  
+  // Without host access the request would be blocked by CORS
+  if (!(await chrome.permissions.contains({ origins: [`${new URL(tab.url).origin}/*`] }))) {
+    return { record: null, reason: 'Not captured: the extension has no access to this host (add it to Background Mode to capture them)' };
+  }
+  
+  const fetched = await fetchDocumentHeaders(tab.url);
+  return fetched ? { record: fetched, reason: null } : { record: null, reason: 'The request for them failed' };
+}
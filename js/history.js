@@ -0,0 +1,177 @@
+/**
+ * Tech Analyzer Chrome Extension - Analysis History
+ * Stores completed analyses in chrome.storage.local, keyed by origin and path, with quota-aware eviction
+ */
+
+/**
+ * Storage key prefix for history entries. Each analyzed page gets its own key,
+ * e.g. "history:https://example.com/docs", holding an array of entries (newest first).
+ */
+export const HISTORY_PREFIX = 'history:';
+
+/**
+ * Maximum number of runs kept for a single page
+ */
+export const MAX_ENTRIES_PER_PAGE = 20;
+
+/**
+ * Share of the storage quota history may fill before the oldest runs are evicted
+ */
+const HISTORY_QUOTA_RATIO = 0.8;
+
+/**
+ * Build the storage key for a page URL (origin and path, without query or hash)
+ * @param {string} url - Analyzed page URL
+ * @returns {string} Storage key
+ */
+export function getHistoryKey(url) {
+  const { origin, pathname } = new URL(url);
+  return `${HISTORY_PREFIX}${origin}${pathname}`;
+}
+
+/**
+ * Storage key prefix covering every page of a URL's origin
+ * @param {string} url - Any URL on the site
+ * @returns {string} Storage key prefix
+ */
+function getSitePrefix(url) {
+  return `${HISTORY_PREFIX}${new URL(url).origin}/`;
+}
+
+/**
+ * Read every history key and its entries from storage
+ * @returns {Promise<Object>} Map of storage key to entry array
+ */
+async function getAllHistory() {
+  const stored = await chrome.storage.local.get(null);
+  return Object.fromEntries(Object.entries(stored).filter(([key]) => key.startsWith(HISTORY_PREFIX)));
+}
+
+/**
+ * Evict the oldest runs across all pages until history fits within its share of the quota
+ */
+async function enforceQuota() {
+  const quota = chrome.storage.local.QUOTA_BYTES || 10485760;
+  const budget = quota * HISTORY_QUOTA_RATIO;
+  let used = await chrome.storage.local.getBytesInUse(null);
+  if (used <= budget) {
+    return;
+  }
+
+  const history = await getAllHistory();
+
+  // Oldest runs first, with an estimate of the bytes each one occupies
+  const candidates = Object.entries(history)
+    .flatMap(([key, entries]) => entries.map(entry => ({
+      key,
+      entry,
+      bytes: JSON.stringify(entry).length
+    })))
+    .sort((a, b) => a.entry.analyzedAt.localeCompare(b.entry.analyzedAt));
+
+  const changedKeys = new Set();
+  while (used > budget && candidates.length > 0) {
+    const { key, entry, bytes } = candidates.shift();
+    history[key] = history[key].filter(item => item.id !== entry.id);
+    changedKeys.add(key);
+    used -= bytes;
+  }
+
+  const emptyKeys = [...changedKeys].filter(key => history[key].length === 0);
+  const updates = Object.fromEntries([...changedKeys]
+    .filter(key => history[key].length > 0)
+    .map(key => [key, history[key]]));
+
+  if (emptyKeys.length > 0) await chrome.storage.local.remove(emptyKeys);
+  if (Object.keys(updates).length > 0) await chrome.storage.local.set(updates);
+}
+
+/**
+ * Save a completed analysis to history
+ * @param {string} url - Analyzed page URL
+ * @param {Object} options - Analysis options used
+ * @param {Object} findings - Findings returned by analyzePage
+ * @param {string} analyzedAt - ISO timestamp of the analysis
+ * @returns {Promise<Object>} The stored entry
+ */
+export async function saveAnalysis(url, options, findings, analyzedAt) {
+  const key = getHistoryKey(url);
+  const entry = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    url,
+    analyzedAt,
+    options,
+    findings
+  };
+
+  const { [key]: existing = [] } = await chrome.storage.local.get(key);
+  const entries = [entry, ...existing].slice(0, MAX_ENTRIES_PER_PAGE);
+
+  try {
+    await chrome.storage.local.set({ [key]: entries });
+  } catch (error) {
+    // Quota exceeded: make room and retry once
+    await enforceQuota();
+    await chrome.storage.local.set({ [key]: entries });
+  }
+
+  await enforceQuota();
+  return entry;
+}
+
+/**
+ * List past runs for every page on a URL's site, newest first
+ * @param {string} url - Any URL on the site
+ * @returns {Promise<Array>} Entries with their storage key
+ */
+export async function getSiteHistory(url) {
+  const prefix = getSitePrefix(url);
+  const history = await getAllHistory();
+
+  return Object.entries(history)
+    .filter(([key]) => key.startsWith(prefix))
+    .flatMap(([key, entries]) => entries.map(entry => ({ ...entry, key })))
+    .sort((a, b) => b.analyzedAt.localeCompare(a.analyzedAt));
+}
+
+/**
+ * List past runs for every page of every site, newest first
+ * @returns {Promise<Array>} Entries with their storage key
+ */
+export async function getAllAnalyses() {
+  const history = await getAllHistory();
+
+  return Object.entries(history)
+    .flatMap(([key, entries]) => entries.map(entry => ({ ...entry, key })))
+    .sort((a, b) => b.analyzedAt.localeCompare(a.analyzedAt));
+}
+
+/**
+ * Remove a single run from history
+ * @param {string} key - Storage key of the page
+ * @param {string} id - Entry id
+ */
+export async function deleteHistoryEntry(key, id) {
+  const { [key]: entries = [] } = await chrome.storage.local.get(key);
+  const remaining = entries.filter(entry => entry.id !== id);
+
+  if (remaining.length === 0) {
+    await chrome.storage.local.remove(key);
+  } else {
+    await chrome.storage.local.set({ [key]: remaining });
+  }
+}
+
+/**
+ * Remove every stored run for a URL's site
+ * @param {string} url - Any URL on the site
+ */
+export async function clearSiteHistory(url) {
+  const prefix = getSitePrefix(url);
+  const history = await getAllHistory();
+  const keys = Object.keys(history).filter(key => key.startsWith(prefix));
+
+  if (keys.length > 0) {
+    await chrome.storage.local.remove(keys);
+  }
+}
@@ -0,0 +1,398 @@
+/**
+ * Tech Analyzer Chrome Extension - Page Metadata
+ * Reads the analyzed page's title, description, canonical URL, robots directives, hreflang
+ * alternates, social card tags, icons, web app manifest and JSON-LD structured data, and flags
+ * what is missing or malformed with a pass/warn/fail status per item
+ *
+ * collectMetadata is injected into the analyzed page through chrome.scripting.executeScript
+ * and must stay self-contained. The other functions run in the extension.
+ */
+
+/**
+ * Recommended length ranges, in characters, before search results truncate or ignore the text
+ */
+export const TITLE_LENGTH = { min: 10, max: 60 };
+export const DESCRIPTION_LENGTH = { min: 50, max: 160 };
+
+/**
+ * Open Graph properties every shareable page should set
+ */
+const REQUIRED_OPEN_GRAPH = ['og:title', 'og:type', 'og:image', 'og:url'];
+
+/**
+ * Card types X (Twitter) renders
+ */
+const TWITTER_CARD_TYPES = ['summary', 'summary_large_image', 'app', 'player'];
+
+/**
+ * JSON-LD text kept per block; larger blocks are reported as too large to check
+ */
+export const MAX_JSON_LD_LENGTH = 100000;
+
+/**
+ * Collect the page's metadata tags
+ * @param {number} maxJsonLength - Characters of each JSON-LD block to keep (MAX_JSON_LD_LENGTH)
+ * @returns {Object} Titles, descriptions, links and meta tags as written in the page, with URLs
+ *   resolved against the page address (null when they don't resolve)
+ */
+export function collectMetadata(maxJsonLength = 100000) {
+  const resolve = value => {
+    try {
+      return new URL(value, location.href).href;
+    } catch (e) {
+      return null;
+    }
+  };
+  const content = selector => Array.from(document.querySelectorAll(selector))
+    .map(element => (element.getAttribute('content') || '').trim());
+  const links = rel => Array.from(document.querySelectorAll('link[rel][href]'))
+    .filter(link => link.getAttribute('rel').toLowerCase().split(/\s+/).some(token => rel.includes(token)));
+
+  // Meta tags written with either attribute, e.g. <meta name="og:title"> as well as property="og:title"
+  const prefixed = prefix => Array.from(document.querySelectorAll('meta[content]'))
+    .map(meta => ({ key: (meta.getAttribute('property') || meta.getAttribute('name') || '').trim().toLowerCase(), value: meta.getAttribute('content').trim() }))
+    .filter(tag => tag.key.startsWith(prefix));
+
+  return {
+    url: location.href,
+    // <title> inside inline SVG names the graphic, not the page
+    titles: Array.from(document.querySelectorAll('title'))
+      .filter(title => !title.closest('svg'))
+      .map(title => title.textContent.replace(/\s+/g, ' ').trim()),
+    descriptions: content('meta[name="description" i]'),
+    canonicals: links(['canonical']).map(link => ({ raw: link.getAttribute('href'), href: resolve(link.getAttribute('href')) })),
+    robots: Array.from(document.querySelectorAll('meta[name="robots" i], meta[name="googlebot" i]'))
+      .map(meta => ({ name: meta.getAttribute('name').toLowerCase(), content: (meta.getAttribute('content') || '').trim() })),
+    alternates: Array.from(document.querySelectorAll('link[rel~="alternate" i][hreflang]'))
+      .map(link => ({ hreflang: link.getAttribute('hreflang').trim(), raw: link.getAttribute('href') || '', href: resolve(link.getAttribute('href') || '') })),
+    openGraph: prefixed('og:'),
+    twitter: prefixed('twitter:'),
+    icons: links(['icon', 'apple-touch-icon', 'apple-touch-icon-precomposed', 'mask-icon']).map(link => ({
+      rel: link.getAttribute('rel').toLowerCase().trim(),
+      href: resolve(link.getAttribute('href')),
+      sizes: link.getAttribute('sizes'),
+      type: link.getAttribute('type')
+    })),
+    manifests: links(['manifest']).map(link => resolve(link.getAttribute('href'))),
+    jsonLd: Array.from(document.querySelectorAll('script[type="application/ld+json" i]'))
+      .map(script => ({ text: script.textContent.slice(0, maxJsonLength), length: script.textContent.length }))
+  };
+}
+
+/**
+ * Build a check result
+ * @param {string} id - Stable check id
+ * @param {string} title - Check name
+ * @param {string} status - 'pass', 'warn', 'fail' or 'info' (optional item not present)
+ * @param {string} summary - One-line result
+ * @param {string[]} evidence - Tags, URLs or values behind the result
+ * @returns {Object} Check result
+ */
+function check(id, title, status, summary, evidence = []) {
+  return { id, title, status, summary, evidence };
+}
+
+/**
+ * Length in characters as a reader counts them (emoji and other astral characters count once)
+ * @param {string} text - Text to measure
+ * @returns {number} Character count
+ */
+function textLength(text) {
+  return [...text].length;
+}
+
+/**
+ * Keep the first value of each tag, e.g. the first og:image when there are several
+ * @param {Object[]} tags - { key, value } pairs in page order
+ * @returns {Object} Map of tag name to value
+ */
+function firstValues(tags) {
+  const values = {};
+  tags.forEach(tag => {
+    if (!Object.prototype.hasOwnProperty.call(values, tag.key)) {
+      values[tag.key] = tag.value;
+    }
+  });
+  return values;
+}
+
+/**
+ * Join problems into a one-line summary, e.g. "Missing og:url; og:image is not an absolute URL"
+ * @param {string[]} problems - Problem descriptions, lower case
+ * @returns {string} Summary
+ */
+function describeProblems(problems) {
+  const text = problems.join('; ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Check a text tag's presence, uniqueness and length
+ * @param {string} id - Check id
+ * @param {string} title - Check name
+ * @param {string[]} values - Every value found, in page order
+ * @param {Object} range - { min, max } recommended length
+ * @param {string} missingStatus - Status when there is none
+ * @returns {Object} Check result
+ */
+function checkText(id, title, values, range, missingStatus) {
+  const [value] = values;
+  if (values.length === 0 || !value) {
+    return check(id, title, missingStatus, values.length === 0 ? 'Missing' : 'Present but empty');
+  }
+
+  const length = textLength(value);
+  const evidence = values.map(item => `${item} (${textLength(item)} characters)`);
+  if (values.length > 1) {
+    return check(id, title, 'warn', `${values.length} found; only the first is used`, evidence);
+  }
+  if (length < range.min) {
+    return check(id, title, 'warn', `${length} characters, short (aim for ${range.min}-${range.max})`, evidence);
+  }
+  return length > range.max
+    ? check(id, title, 'warn', `${length} characters, likely truncated in search results (aim for ${range.min}-${range.max})`, evidence)
+    : check(id, title, 'pass', `${length} characters`, evidence);
+}
+
+/**
+ * Check the canonical link
+ */
+function checkCanonical(pageData) {
+  const title = 'Canonical URL';
+  const evidence = pageData.canonicals.map(link => link.href || link.raw);
+  if (pageData.canonicals.length === 0) {
+    return check('canonical', title, 'warn', 'No canonical link; duplicate URLs of this page compete in search results');
+  }
+  if (pageData.canonicals.length > 1) {
+    return check('canonical', title, 'fail', `${pageData.canonicals.length} canonical links; search engines may ignore them all`, evidence);
+  }
+
+  const [canonical] = pageData.canonicals;
+  if (!canonical.href || !/^https?:/.test(canonical.href)) {
+    return check('canonical', title, 'fail', `"${canonical.raw}" is not a valid http(s) URL`, evidence);
+  }
+
+  const target = new URL(canonical.href);
+  const page = new URL(pageData.url);
+  if (target.hostname !== page.hostname) {
+    return check('canonical', title, 'warn', `Points to another host (${target.hostname})`, evidence);
+  }
+  target.hash = '';
+  page.hash = '';
+  return target.href === page.href
+    ? check('canonical', title, 'pass', 'Points to this page', evidence)
+    : check('canonical', title, 'pass', 'Points to another address on this site', evidence);
+}
+
+/**
+ * Check robots meta directives
+ */
+function checkRobots(pageData) {
+  const title = 'Robots directives';
+  const evidence = pageData.robots.map(meta => `${meta.name}: ${meta.content}`);
+  if (pageData.robots.length === 0) {
+    return check('robots', title, 'pass', 'No robots meta tag; pages are indexed and followed by default');
+  }
+
+  const directives = pageData.robots.flatMap(meta => meta.content.toLowerCase().split(',').map(item => item.trim()));
+  const blocked = [];
+  if (directives.includes('noindex') || directives.includes('none')) blocked.push('not to index the page');
+  if (directives.includes('nofollow') || directives.includes('none')) blocked.push('not to follow its links');
+  return blocked.length > 0
+    ? check('robots', title, 'warn', `Asks search engines ${blocked.join(' and ')}`, evidence)
+    : check('robots', title, 'pass', 'Indexing allowed', evidence);
+}
+
+/**
+ * Check hreflang alternates for valid language codes and URLs
+ */
+function checkHreflang(pageData) {
+  const title = 'hreflang alternates';
+  const evidence = pageData.alternates.map(link => `${link.hreflang}: ${link.href || link.raw}`);
+  if (pageData.alternates.length === 0) {
+    return check('hreflang', title, 'info', 'No language alternates');
+  }
+
+  // A language, optionally with a script and/or region, e.g. "en", "en-GB", "zh-Hant-TW"
+  const validCode = code => /^x-default$/i.test(code) || /^[a-z]{2,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?$/i.test(code);
+  const problems = [
+    ...pageData.alternates.filter(link => !validCode(link.hreflang)).map(link => `"${link.hreflang}" is not a language code`),
+    ...pageData.alternates.filter(link => !link.href || !/^https?:/.test(link.href)).map(link => `${link.hreflang} has no valid URL`)
+  ];
+  const languages = pageData.alternates.map(link => link.hreflang).join(', ');
+  return problems.length > 0
+    ? check('hreflang', title, 'warn', describeProblems(problems), evidence)
+    : check('hreflang', title, 'pass', `${pageData.alternates.length} alternate${pageData.alternates.length === 1 ? '' : 's'} (${languages})`, evidence);
+}
+
+/**
+ * Check the Open Graph tags used for link previews
+ */
+function checkOpenGraph(pageData, openGraph) {
+  const title = 'Open Graph';
+  const evidence = pageData.openGraph.map(tag => `${tag.key}: ${tag.value}`);
+  if (pageData.openGraph.length === 0) {
+    return check('open-graph', title, 'warn', 'No Open Graph tags; shared links show a plain preview');
+  }
+
+  const problems = [];
+  const missing = REQUIRED_OPEN_GRAPH.filter(key => !openGraph[key]);
+  if (missing.length > 0) problems.push(`missing ${missing.join(', ')}`);
+  if (openGraph['og:image'] && !/^https?:\/\//i.test(openGraph['og:image'])) problems.push('og:image is not an absolute URL');
+  if (openGraph['og:url'] && !/^https?:\/\//i.test(openGraph['og:url'])) problems.push('og:url is not an absolute URL');
+  return problems.length > 0
+    ? check('open-graph', title, 'warn', describeProblems(problems), evidence)
+    : check('open-graph', title, 'pass', 'Title, type, image and URL are set', evidence);
+}
+
+/**
+ * Check the Twitter Card tags
+ */
+function checkTwitterCard(pageData, twitter) {
+  const title = 'Twitter Card';
+  const evidence = pageData.twitter.map(tag => `${tag.key}: ${tag.value}`);
+  const card = twitter['twitter:card'];
+  if (!card) {
+    return check('twitter-card', title, 'warn', pageData.twitter.length > 0
+      ? 'twitter:card is missing, so no card is shown'
+      : 'No Twitter Card tags', evidence);
+  }
+  return TWITTER_CARD_TYPES.includes(card)
+    ? check('twitter-card', title, 'pass', `${card} card`, evidence)
+    : check('twitter-card', title, 'warn', `"${card}" is not a card type (expected ${TWITTER_CARD_TYPES.join(', ')})`, evidence);
+}
+
+/**
+ * Check favicons and touch icons, listing their sizes
+ */
+function checkIcons(pageData) {
+  const title = 'Icons';
+  const evidence = pageData.icons.map(icon => [icon.rel, icon.sizes, icon.type, icon.href].filter(Boolean).join(' '));
+  const favicons = pageData.icons.filter(icon => icon.rel.split(/\s+/).includes('icon'));
+  const touchIcons = pageData.icons.filter(icon => /^apple-touch-icon/.test(icon.rel));
+
+  const problems = [];
+  if (favicons.length === 0) problems.push('no favicon declared (browsers fall back to /favicon.ico)');
+  if (touchIcons.length === 0) problems.push('no apple-touch-icon');
+  pageData.icons
+    .filter(icon => icon.sizes && !/^(any|\d+x\d+)(\s+(any|\d+x\d+))*$/i.test(icon.sizes.trim()))
+    .forEach(icon => problems.push(`sizes="${icon.sizes}" is malformed`));
+  pageData.icons.filter(icon => !icon.href).forEach(icon => problems.push(`${icon.rel} has no valid URL`));
+
+  if (problems.length > 0) {
+    return check('icons', title, 'warn', describeProblems(problems), evidence);
+  }
+  const sizes = [...new Set(pageData.icons.map(icon => icon.sizes).filter(Boolean))];
+  return check('icons', title, 'pass',
+    `${favicons.length} favicon${favicons.length === 1 ? '' : 's'}, ${touchIcons.length} touch icon${touchIcons.length === 1 ? '' : 's'}${sizes.length > 0 ? ` (${sizes.join(', ')})` : ''}`,
+    evidence);
+}
+
+/**
+ * Check the web app manifest link
+ */
+function checkManifest(pageData) {
+  const title = 'Web app manifest';
+  const evidence = pageData.manifests.map(href => href || '(invalid URL)');
+  if (pageData.manifests.length === 0) {
+    return check('manifest', title, 'info', 'No manifest linked (only needed for installable web apps)');
+  }
+  if (pageData.manifests.some(href => !href)) {
+    return check('manifest', title, 'fail', 'Manifest link has an invalid URL', evidence);
+  }
+  return pageData.manifests.length > 1
+    ? check('manifest', title, 'warn', `${pageData.manifests.length} manifests linked; browsers use the first`, evidence)
+    : check('manifest', title, 'pass', 'Linked', evidence);
+}
+
+/**
+ * Collect the @type values of a JSON-LD document's top-level nodes and @graph members
+ * @param {*} data - Parsed JSON-LD
+ * @returns {string[]} Types in document order
+ */
+function listJsonLdTypes(data) {
+  const nodes = (Array.isArray(data) ? data : [data]).flatMap(node =>
+    node && typeof node === 'object' && Array.isArray(node['@graph']) ? [node, ...node['@graph']] : [node]);
+  return nodes.flatMap(node => {
+    const type = node && typeof node === 'object' ? node['@type'] : null;
+    return (Array.isArray(type) ? type : [type]).filter(item => typeof item === 'string');
+  });
+}
+
+/**
+ * Parse each JSON-LD block
+ * @param {Object[]} blocks - { text, length } from collectMetadata
+ * @returns {Object[]} { types, error } per block, error null when it parsed
+ */
+function parseStructuredData(blocks) {
+  return blocks.map(block => {
+    if (block.length > block.text.length) {
+      return { types: [], error: `Too large to check (${block.length} characters)` };
+    }
+    try {
+      return { types: listJsonLdTypes(JSON.parse(block.text)), error: null };
+    } catch (error) {
+      return { types: [], error: error.message };
+    }
+  });
+}
+
+/**
+ * Check the JSON-LD structured data blocks
+ */
+function checkStructuredData(structuredData) {
+  const title = 'Structured data (JSON-LD)';
+  if (structuredData.length === 0) {
+    return check('structured-data', title, 'info', 'No JSON-LD blocks');
+  }
+
+  const evidence = structuredData.map((block, index) =>
+    `Block ${index + 1}: ${block.error ? `invalid (${block.error})` : block.types.join(', ') || 'no @type'}`);
+  const invalid = structuredData.filter(block => block.error).length;
+  const untyped = structuredData.filter(block => !block.error && block.types.length === 0).length;
+  const types = [...new Set(structuredData.flatMap(block => block.types))];
+
+  if (invalid > 0) {
+    return check('structured-data', title, 'fail', `${invalid} of ${structuredData.length} blocks are not valid JSON`, evidence);
+  }
+  return untyped > 0
+    ? check('structured-data', title, 'warn', `${untyped} of ${structuredData.length} blocks have no @type`, evidence)
+    : check('structured-data', title, 'pass', types.join(', '), evidence);
+}
+
+/**
+ * Summarize the page's metadata and run every metadata check
+ * @param {Object} pageData - Result of collectMetadata
+ * @returns {Object} The values the popup shows (title, description, canonical, openGraph and
+ *   twitter tag maps, icons, manifest, structuredData) and `checks` of { id, title, status, summary, evidence }
+ */
+export function evaluateMetadata(pageData) {
+  const openGraph = firstValues(pageData.openGraph);
+  const twitter = firstValues(pageData.twitter);
+  const structuredData = parseStructuredData(pageData.jsonLd);
+
+  return {
+    title: pageData.titles[0] || null,
+    description: pageData.descriptions[0] || null,
+    canonical: pageData.canonicals.length > 0 ? pageData.canonicals[0].href : null,
+    robots: pageData.robots,
+    alternates: pageData.alternates.map(({ hreflang, href }) => ({ hreflang, href })),
+    openGraph,
+    twitter,
+    icons: pageData.icons,
+    manifest: pageData.manifests[0] || null,
+    structuredData,
+    checks: [
+      checkText('title', 'Title', pageData.titles, TITLE_LENGTH, 'fail'),
+      checkText('description', 'Meta description', pageData.descriptions, DESCRIPTION_LENGTH, 'warn'),
+      checkCanonical(pageData),
+      checkRobots(pageData),
+      checkHreflang(pageData),
+      checkOpenGraph(pageData, openGraph),
+      checkTwitterCard(pageData, twitter),
+      checkIcons(pageData),
+      checkManifest(pageData),
+      checkStructuredData(structuredData)
+    ]
+  };
+}
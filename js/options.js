@@ -0,0 +1,348 @@
+/**
+ * Tech Analyzer Chrome Extension - Options Page
+ * Editor for custom signatures (define, import and export in-house technologies to detect) and
+ * the AI assistant's endpoint settings
+ */
+
+import { initializeTheme, toggleTheme, showToast, escapeHTML } from './utils.js';
+import { loadSignatures } from './signatures.js';
+import { downloadText, fileStamp, EXPORT_FORMATS } from './export.js';
+import {
+  CUSTOM_SIGNAL_TYPES, DEFAULT_CUSTOM_BADGE_COLOR, loadCustomSignatures, saveCustomSignatures,
+  validateCustomSignature, exportCustomSignatures, importCustomSignatures
+} from './custom-signatures.js';
+import {
+  AI_ERROR_KINDS, getAISettings, saveAISettings, normalizeBaseUrl, getEndpointOrigin, listModels
+} from './ai-assistant.js';
+
+(function() {
+  // Stored custom signatures, and the name of the one open in the editor (null for a new one)
+  let customSignatures = [];
+  let editingName = null;
+
+  // Names of the bundled technologies, which custom signatures can't reuse
+  let builtInNames = [];
+
+  // Shown when the endpoint moved to another origin and the saved key was not carried over
+  const KEY_CLEARED_MESSAGE = 'The base URL is on a different host, so the saved API key was not kept; enter the key for this endpoint if it needs one';
+
+  document.addEventListener('DOMContentLoaded', () => {
+    initializeTheme();
+
+    document.getElementById('theme-toggle').addEventListener('click', toggleTheme);
+    document.getElementById('new-signature').addEventListener('click', () => openEditor(null));
+    document.getElementById('signature-list').addEventListener('click', handleListClick);
+    document.getElementById('signature-form').addEventListener('submit', handleSave);
+    document.getElementById('delete-signature').addEventListener('click', handleDelete);
+    document.getElementById('add-signal').addEventListener('click', () => addSignalRow());
+    document.getElementById('signal-rows').addEventListener('click', handleSignalRowClick);
+    document.getElementById('import-signatures').addEventListener('change', handleImport);
+    document.getElementById('export-signatures').addEventListener('click', handleExport);
+    document.getElementById('ai-form').addEventListener('submit', handleAISave);
+    document.getElementById('test-ai').addEventListener('click', handleAITest);
+    document.getElementById('clear-ai-key').addEventListener('click', handleAIKeyRemove);
+
+    loadAll();
+    loadAISettings();
+  });
+
+  // Read the bundled names and the stored custom signatures, then show an empty editor
+  async function loadAll() {
+    try {
+      const signatures = await loadSignatures();
+      builtInNames = Object.values(signatures.categories).flat().map(framework => framework.name);
+      customSignatures = await loadCustomSignatures();
+    } catch (error) {
+      console.error('Could not load signatures:', error);
+      showToast('Could not load signatures', 4000);
+    }
+    renderList();
+    openEditor(null);
+  }
+
+  // ======== List ========
+  // List the custom signatures with their category, threshold and badge colour
+  function renderList() {
+    const listEl = document.getElementById('signature-list');
+    document.getElementById('export-signatures').disabled = customSignatures.length === 0;
+
+    if (customSignatures.length === 0) {
+      listEl.innerHTML = '<li class="hint">No custom technologies yet.</li>';
+      return;
+    }
+
+    listEl.innerHTML = customSignatures.map(definition => {
+      const signals = `${definition.signals.length} signal${definition.signals.length === 1 ? '' : 's'}`;
+      return `<li><button type="button" class="signature-entry${definition.name === editingName ? ' active' : ''}" data-name="${escapeHTML(definition.name)}">` +
+        `<span class="badge-swatch" style="background-color: ${escapeHTML(definition.badgeColor)}"></span>` +
+        `${escapeHTML(definition.name)}` +
+        `<span class="source-meta">${escapeHTML(definition.category)} · threshold ${definition.minConfidence} · ${signals}</span>` +
+        '</button></li>';
+    }).join('');
+  }
+
+  // Open the clicked signature in the editor
+  function handleListClick(e) {
+    const entry = e.target.closest('.signature-entry');
+    if (entry) {
+      openEditor(entry.dataset.name);
+    }
+  }
+
+  // ======== Editor ========
+  // Fill the editor with a stored signature, or reset it for a new one
+  function openEditor(name) {
+    const definition = customSignatures.find(item => item.name === name) || null;
+    const form = document.getElementById('signature-form');
+    editingName = definition ? definition.name : null;
+
+    form.elements.name.value = definition ? definition.name : '';
+    form.elements.category.value = definition ? definition.category : 'js';
+    form.elements['min-confidence'].value = definition ? definition.minConfidence : 5;
+    form.elements['badge-color'].value = definition ? definition.badgeColor : DEFAULT_CUSTOM_BADGE_COLOR;
+    document.getElementById('editor-title').textContent = definition ? `Edit ${definition.name}` : 'New technology';
+    document.getElementById('delete-signature').hidden = !definition;
+
+    document.getElementById('signal-rows').innerHTML = '';
+    (definition ? definition.signals : [{ type: 'global', patterns: [], weight: 5 }]).forEach(addSignalRow);
+    renderList();
+  }
+
+  // Add a signal row to the editor, filled from a stored signal if one is given
+  function addSignalRow(signal = { type: 'global', patterns: [], weight: 5 }) {
+    const row = document.getElementById('signal-row-template').content.firstElementChild.cloneNode(true);
+    row.querySelector('[name="signal-type"]').value = signal.type;
+    row.querySelector('[name="signal-value"]').value = CUSTOM_SIGNAL_TYPES[signal.type] === 'selector'
+      ? signal.selector || ''
+      : (signal.patterns || []).join(', ');
+    row.querySelector('[name="signal-weight"]').value = signal.weight;
+    document.getElementById('signal-rows').appendChild(row);
+  }
+
+  // Remove a signal row
+  function handleSignalRowClick(e) {
+    const button = e.target.closest('.remove-signal');
+    if (button) {
+      button.closest('tr').remove();
+    }
+  }
+
+  // Read the editor into a custom signature (not yet validated)
+  function readEditor(form) {
+    const signals = Array.from(document.querySelectorAll('#signal-rows tr')).map(row => {
+      const type = row.querySelector('[name="signal-type"]').value;
+      const value = row.querySelector('[name="signal-value"]').value;
+      const weight = parseInt(row.querySelector('[name="signal-weight"]').value, 10);
+      return CUSTOM_SIGNAL_TYPES[type] === 'selector'
+        ? { type, selector: value, weight }
+        : { type, patterns: value.split(','), weight };
+    });
+
+    return {
+      name: form.elements.name.value,
+      category: form.elements.category.value,
+      minConfidence: parseInt(form.elements['min-confidence'].value, 10),
+      badgeColor: form.elements['badge-color'].value,
+      signals
+    };
+  }
+
+  // Reject selectors the detection engine couldn't run
+  function checkSelectors(definition) {
+    definition.signals.filter(signal => signal.selector).forEach(signal => {
+      try {
+        document.querySelector(signal.selector);
+      } catch (error) {
+        throw new Error(`${definition.name}: "${signal.selector}" is not a valid CSS selector`);
+      }
+    });
+  }
+
+  // Validate the editor and store the signature, replacing the one being edited
+  async function handleSave(e) {
+    e.preventDefault();
+    const others = customSignatures.filter(item => item.name !== editingName);
+
+    let definition;
+    try {
+      definition = validateCustomSignature(readEditor(e.target), [...builtInNames, ...others.map(item => item.name)]);
+      checkSelectors(definition);
+    } catch (error) {
+      showToast(error.message, 4000);
+      return;
+    }
+
+    const index = customSignatures.findIndex(item => item.name === editingName);
+    const updated = index === -1
+      ? [...customSignatures, definition]
+      : customSignatures.map((item, i) => (i === index ? definition : item));
+
+    if (await store(updated)) {
+      showToast(`Saved ${definition.name}`);
+      openEditor(definition.name);
+    }
+  }
+
+  // Delete the signature open in the editor
+  async function handleDelete() {
+    const name = editingName;
+    if (name && await store(customSignatures.filter(item => item.name !== name))) {
+      showToast(`Deleted ${name}`);
+      openEditor(null);
+    }
+  }
+
+  // Save a new list to sync storage; returns false (after telling the user) when it doesn't fit
+  async function store(updated) {
+    try {
+      await saveCustomSignatures(updated);
+      customSignatures = updated;
+      return true;
+    } catch (error) {
+      console.error('Could not save custom signatures:', error);
+      showToast(error.message, 4000);
+      return false;
+    }
+  }
+
+  // ======== Import / Export ========
+  // Merge a shared signature file into the stored list
+  async function handleImport(e) {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    try {
+      const { signatures, imported } = importCustomSignatures(await file.text(), customSignatures, builtInNames);
+      signatures.forEach(checkSelectors);
+      if (await store(signatures)) {
+        showToast(`Imported ${imported} custom technolog${imported === 1 ? 'y' : 'ies'}`);
+        openEditor(editingName);
+      }
+    } catch (error) {
+      showToast(`Import failed: ${error.message}`, 4000);
+    }
+  }
+
+  // Download the stored list as a file teammates can import
+  function handleExport() {
+    const { extension, mimeType } = EXPORT_FORMATS.json;
+    downloadText(exportCustomSignatures(customSignatures),
+      `tech-analyzer-signatures-${fileStamp(new Date().toISOString())}.${extension}`, mimeType);
+  }
+
+  // ======== AI Assistant ========
+  // Fill the endpoint form from storage. The saved key is never shown, only whether there is one.
+  async function loadAISettings() {
+    const settings = await getAISettings();
+    const form = document.getElementById('ai-form');
+    form.elements['base-url'].value = settings.baseUrl;
+    form.elements.model.value = settings.model;
+    form.elements.timeout.value = settings.timeoutSeconds;
+    form.elements['api-key'].value = '';
+    form.elements['api-key'].placeholder = settings.apiKey ? 'Saved (enter a new key to replace it)' : 'Leave empty for local servers';
+    document.getElementById('clear-ai-key').disabled = !settings.apiKey;
+  }
+
+  // Read the form over the saved settings. The saved key is kept only while the endpoint stays on
+  // the same origin, so a key issued for one API is never sent to another host.
+  async function readAIForm(form) {
+    const saved = await getAISettings();
+    const timeout = parseInt(form.elements.timeout.value, 10);
+    const baseUrl = normalizeBaseUrl(form.elements['base-url'].value);
+    const enteredKey = form.elements['api-key'].value.trim();
+    const keepSavedKey = !enteredKey && Boolean(saved.apiKey) && isSameOrigin(baseUrl, saved.baseUrl);
+    return {
+      settings: {
+        baseUrl,
+        model: form.elements.model.value.trim(),
+        apiKey: enteredKey || (keepSavedKey ? saved.apiKey : ''),
+        timeoutSeconds: Number.isNaN(timeout) ? saved.timeoutSeconds : Math.min(600, Math.max(5, timeout))
+      },
+      keyCleared: !enteredKey && Boolean(saved.apiKey) && !keepSavedKey
+    };
+  }
+
+  // Whether two base URLs share scheme, host and port
+  function isSameOrigin(a, b) {
+    try {
+      return new URL(a).origin === new URL(b).origin;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Ask for access to the endpoint's host; must run while the click is still being handled
+  function requestEndpointAccess(form) {
+    let baseUrl;
+    try {
+      baseUrl = normalizeBaseUrl(form.elements['base-url'].value);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    return chrome.permissions.request({ origins: [getEndpointOrigin(baseUrl)] });
+  }
+
+  // Show the outcome of a save or connection test
+  function showAIStatus(message) {
+    document.getElementById('ai-status').textContent = message;
+  }
+
+  // Describe an endpoint error with its kind, e.g. "Authentication failed: ..."
+  function describeAIError(error) {
+    return error.kind ? `${AI_ERROR_KINDS[error.kind]}: ${error.message}` : error.message;
+  }
+
+  // Save the endpoint settings after getting access to its host
+  async function handleAISave(e) {
+    e.preventDefault();
+    const form = e.target;
+
+    try {
+      const granted = await requestEndpointAccess(form);
+      if (!granted) {
+        showAIStatus('Access to the endpoint\'s host was not granted; settings not saved');
+        return;
+      }
+      const { settings, keyCleared } = await readAIForm(form);
+      await saveAISettings(settings);
+      showAIStatus(keyCleared ? KEY_CLEARED_MESSAGE : '');
+    } catch (error) {
+      showAIStatus(describeAIError(error));
+      return;
+    }
+
+    showToast('AI assistant settings saved');
+    loadAISettings();
+  }
+
+  // Check that the endpoint answers and accepts the key, and offer its models in the model field
+  async function handleAITest() {
+    const form = document.getElementById('ai-form');
+    showAIStatus('Connecting…');
+    let keyCleared = false;
+
+    try {
+      if (!(await requestEndpointAccess(form))) {
+        showAIStatus('Access to the endpoint\'s host was not granted');
+        return;
+      }
+      const read = await readAIForm(form);
+      keyCleared = read.keyCleared;
+      const models = await listModels(read.settings);
+      document.getElementById('ai-models').innerHTML = models.map(id => `<option value="${escapeHTML(id)}"></option>`).join('');
+      showAIStatus(`Connected: ${models.length} model${models.length === 1 ? '' : 's'} available${models.length > 0 ? ` (${models.slice(0, 5).join(', ')}${models.length > 5 ? ', …' : ''})` : ''}`);
+    } catch (error) {
+      showAIStatus(keyCleared ? `${describeAIError(error)}. ${KEY_CLEARED_MESSAGE}` : describeAIError(error));
+    }
+  }
+
+  // Forget the saved API key
+  async function handleAIKeyRemove() {
+    await saveAISettings({ ...(await getAISettings()), apiKey: '' });
+    showToast('API key removed');
+    loadAISettings();
+  }
+})();
@@ -3,66 +3,295 @@
  * Handles UI interactions, form handling, and integrates all modules
  */
 
-import { initializeTheme, toggleTheme, showToast } from './utils.js';
-import { findJavaScriptFiles, findCSSFiles } from './file-analyzer.js';
+import { initializeTheme, toggleTheme, showToast, escapeHTML, formatTimestamp, formatBytes } from './utils.js';
+import { analyzePage } from './analyzer.js';
+import { listDetected } from './signatures.js';
+import { buildReport, downloadReport, normalizeFiles, describeScriptAttributes } from './export.js';
+import { saveAnalysis, getSiteHistory, deleteHistoryEntry, clearSiteHistory } from './history.js';
+import { getBackgroundSettings, saveBackgroundSettings, parseHostList, getRequiredOrigins } from './settings.js';
+import { getTabResult } from './tab-results.js';
+import { loadAdvisories, importAdvisories, resetAdvisories } from './advisories.js';
+import { loadCustomSignatures } from './custom-signatures.js';
+import {
+  PROMPT_SCENARIOS, PROMPT_SIZE_LIMITS, PROMPT_PLACEHOLDERS, loadPromptSettings, savePromptSettings, getTemplate, buildPrompt
+} from './prompts.js';
+import { AI_ERROR_KINDS, getAISettings, buildExplainMessages, streamChatCompletion } from './ai-assistant.js';
 
 // ======== Main Application Logic ========
 (function() {
-  // Store detected files for generating AI prompts
-  let clipboardData = {
-    jsFiles: [],
-    cssFiles: []
-  };
+  // Report for the latest analysis, used by the export buttons and the AI prompt builder
+  let currentReport = null;
+  
+  // Past runs for the current site, as listed in the History tab
+  let historyEntries = [];
+  
+  // File lists show the short filename or the full detail of each entry
+  let fileView = 'short';
+  let currentFiles = null;
+  
+  // Hosts of linked files that couldn't be read without host access, offered in the results
+  let missingOrigins = [];
+  
+  // Badge colour of each custom signature by name, for styling their findings
+  let customColors = new Map();
+  
+  // Prompt builder settings (edited templates, scenario, size limit), loaded when the builder opens
+  let promptSettings = null;
+  
+  // Cancels the "Explain this stack" request in progress
+  let explainController = null;
 
   // Initialize on DOM content loaded
   document.addEventListener('DOMContentLoaded', () => {
     // Initialize core functionality when DOM is ready
     initializeTheme();
-    initializeClipboard();
     
     // Set up UI event listeners
     document.getElementById('theme-toggle').addEventListener('click', toggleTheme);
-    document.getElementById('copy-ai-prompt').addEventListener('click', copyAIPrompt);
+    document.getElementById('copy-ai-prompt').addEventListener('click', openPromptBuilder);
+    document.getElementById('prompt-form').addEventListener('change', handlePromptOptionsChange);
+    document.getElementById('prompt-form').addEventListener('submit', copyPrompt);
+    document.getElementById('prompt-form').elements.template.addEventListener('input', renderPromptPreview);
+    document.getElementById('back-to-results').addEventListener('click', () => switchTab('results'));
+    document.getElementById('save-template').addEventListener('click', handleTemplateSave);
+    document.getElementById('reset-template').addEventListener('click', handleTemplateReset);
     document.getElementById('analyze-form').addEventListener('submit', handleFormSubmit);
+    document.querySelectorAll('.export-button').forEach(button => {
+      button.addEventListener('click', () => exportReport(button.dataset.format));
+    });
+    document.querySelectorAll('.panel-tab').forEach(button => {
+      button.addEventListener('click', () => switchTab(button.dataset.tab));
+    });
+    document.getElementById('history-list').addEventListener('click', handleHistoryClick);
+    document.getElementById('clear-history').addEventListener('click', clearHistory);
+    document.getElementById('open-dashboard').addEventListener('click', () => openExtensionPage('dashboard.html'));
+    document.getElementById('open-batch').addEventListener('click', () => openExtensionPage('batch.html'));
+    document.getElementById('background-form').addEventListener('submit', handleSettingsSubmit);
+    document.getElementById('advisories-file').addEventListener('change', handleAdvisoriesImport);
+    document.getElementById('reset-advisories').addEventListener('click', handleAdvisoriesReset);
+    document.getElementById('open-options').addEventListener('click', () => chrome.runtime.openOptionsPage());
+    document.getElementById('open-ai-options').addEventListener('click', () => openExtensionPage('options.html#ai'));
+    document.getElementById('explain-stack').addEventListener('click', explainStack);
+    document.getElementById('stop-ai').addEventListener('click', () => explainController && explainController.abort());
+    document.getElementById('ai-output').addEventListener('click', handleAIOutputClick);
+    document.getElementById('report').addEventListener('click', handleReportClick);
+    
+    // Open with the background analysis of this tab, if there is one, once custom badge colours are known
+    loadCustomColors().finally(showCachedResult);
   });
 
-  // Set initial clipboard button state (disabled until results available)
-  function initializeClipboard() {
-    const copyButton = document.getElementById('copy-ai-prompt');
-    copyButton.disabled = true;
+  // Show one of the right-panel views (results, history) and hide the others
+  function switchTab(name) {
+    document.querySelectorAll('.panel-tab').forEach(button => {
+      const isActive = button.dataset.tab === name;
+      button.classList.toggle('active', isActive);
+      button.setAttribute('aria-selected', String(isActive));
+    });
+    document.querySelectorAll('[data-panel]').forEach(panel => {
+      panel.hidden = panel.dataset.panel !== name;
+    });
+    
+    if (name === 'history') {
+      loadHistory();
+    } else if (name === 'settings') {
+      loadSettings();
+    }
   }
 
-  // Format and copy file data as an AI-friendly prompt
-  function copyAIPrompt() {
-    // Filter out placeholder "None found" entries
-    const allFiles = [...clipboardData.jsFiles, ...clipboardData.cssFiles]
-      .filter(file => file !== 'None found');
-    
-    if (allFiles.length === 0) {
+  // Resolve the active tab of the current window
+  function getActiveTab() {
+    return new Promise(resolve => {
+      chrome.tabs.query({ active: true, currentWindow: true }, tabs => resolve(tabs && tabs[0]));
+    });
+  }
+
+  // ======== AI Prompt Builder ========
+  // Open the prompt builder for the current report, with the last scenario and size limit used
+  async function openPromptBuilder() {
+    if (!currentReport) {
       return;
     }
     
-    // Create a prompt asking for explanation of the detected files
-    const prompt = `Give me a brief idea what these files are: ${allFiles.join(', ')}`;
+    promptSettings = await loadPromptSettings();
+    const form = document.getElementById('prompt-form');
+    form.elements.scenario.innerHTML = PROMPT_SCENARIOS.map(scenario =>
+      `<option value="${escapeHTML(scenario.id)}">${escapeHTML(scenario.label)}</option>`
+    ).join('');
+    form.elements['max-chars'].innerHTML = PROMPT_SIZE_LIMITS.map(limit =>
+      `<option value="${limit}">${limit === 0 ? 'No limit' : `${limit.toLocaleString()} characters`}</option>`
+    ).join('');
+    form.elements.scenario.value = promptSettings.scenario;
+    form.elements['max-chars'].value = String(promptSettings.maxChars);
+    document.getElementById('template-placeholders').innerHTML = Object.entries(PROMPT_PLACEHOLDERS).map(([name, description]) =>
+      `<li><code>{{${escapeHTML(name)}}}</code> ${escapeHTML(description)}</li>`
+    ).join('');
+    
+    showTemplate();
+    renderPromptPreview();
+    switchTab('prompt');
+  }
+  
+  // Put the selected scenario's template in the editor
+  function showTemplate() {
+    const form = document.getElementById('prompt-form');
+    form.elements.template.value = getTemplate(promptSettings, form.elements.scenario.value);
+    document.getElementById('reset-template').disabled = !promptSettings.templates[form.elements.scenario.value];
+  }
+  
+  // Fill the template from the report and show the result, noting anything trimmed to fit
+  function renderPromptPreview() {
+    const form = document.getElementById('prompt-form');
+    const maxChars = parseInt(form.elements['max-chars'].value, 10);
+    const { text, trimmed } = buildPrompt(form.elements.template.value, currentReport, maxChars);
     
-    // Copy to clipboard and show success notification
-    navigator.clipboard.writeText(prompt).then(() => {
+    document.getElementById('prompt-preview').value = text;
+    document.getElementById('prompt-status').textContent =
+      [`${text.length.toLocaleString()} characters`, ...trimmed].join(' · ');
+  }
+  
+  // Rebuild the preview when the scenario or size limit changes, and remember the choice
+  function handlePromptOptionsChange(e) {
+    const form = e.currentTarget;
+    if (e.target !== form.elements.scenario && e.target !== form.elements['max-chars']) {
+      return;
+    }
+    if (e.target === form.elements.scenario) {
+      showTemplate();
+    }
+    
+    promptSettings.scenario = form.elements.scenario.value;
+    promptSettings.maxChars = parseInt(form.elements['max-chars'].value, 10);
+    savePromptSettings(promptSettings).catch(error => console.error('Could not save prompt settings:', error));
+    renderPromptPreview();
+  }
+  
+  // Copy the previewed prompt, including any edits made to it
+  function copyPrompt(e) {
+    e.preventDefault();
+    navigator.clipboard.writeText(document.getElementById('prompt-preview').value).then(() => {
       showToast();
     }).catch(err => {
       console.error('Could not copy text: ', err);
     });
   }
+  
+  // Store the edited template for the selected scenario
+  async function handleTemplateSave() {
+    const form = document.getElementById('prompt-form');
+    const scenario = PROMPT_SCENARIOS.find(item => item.id === form.elements.scenario.value);
+    const template = form.elements.template.value;
+    
+    if (template.trim() === '' || template === scenario.template) {
+      delete promptSettings.templates[scenario.id];
+    } else {
+      promptSettings.templates[scenario.id] = template;
+    }
+    await savePromptSettings(promptSettings);
+    showTemplate();
+    renderPromptPreview();
+    showToast('Template saved');
+  }
+  
+  // Go back to the built-in template for the selected scenario
+  async function handleTemplateReset() {
+    const form = document.getElementById('prompt-form');
+    delete promptSettings.templates[form.elements.scenario.value];
+    await savePromptSettings(promptSettings);
+    showTemplate();
+    renderPromptPreview();
+    showToast('Default template restored');
+  }
 
-  // Enable/disable copy button based on whether we have valid results
-  function updateClipboardButton() {
-    const hasFiles = (
-      clipboardData.jsFiles.length > 0 && clipboardData.jsFiles[0] !== 'None found'
-    ) || (
-      clipboardData.cssFiles.length > 0 && clipboardData.cssFiles[0] !== 'None found'
-    );
+  // ======== AI Assistant ========
+  // Send the current findings to the configured endpoint and stream the answer into the AI tab
+  async function explainStack() {
+    if (!currentReport) {
+      return;
+    }
+    if (explainController) {
+      explainController.abort();
+    }
     
-    const copyButton = document.getElementById('copy-ai-prompt');
-    copyButton.disabled = !hasFiles;
+    const controller = new AbortController();
+    explainController = controller;
+    const outputEl = document.getElementById('ai-output');
+    const statusEl = document.getElementById('ai-status');
+    const stopButton = document.getElementById('stop-ai');
+    
+    document.getElementById('tab-ai').hidden = false;
+    switchTab('ai');
+    outputEl.innerHTML = '<div class="ai-answer"></div>';
+    const answerEl = outputEl.firstElementChild;
+    stopButton.disabled = false;
+    
+    try {
+      const settings = await getAISettings();
+      statusEl.textContent = `Asking ${settings.model || 'the model'} about ${currentReport.url}…`;
+      
+      // Text nodes only: the answer is shown as plain text, never parsed as HTML
+      await streamChatCompletion(settings, buildExplainMessages(currentReport), {
+        signal: controller.signal,
+        onDelta: text => answerEl.append(text)
+      });
+      statusEl.textContent = `Answer from ${settings.model}`;
+    } catch (error) {
+      if (explainController !== controller) {
+        return;
+      }
+      statusEl.textContent = error.kind ? AI_ERROR_KINDS[error.kind] : 'Request failed';
+      if (error.kind !== 'cancelled') {
+        console.error('AI request failed:', error);
+      }
+      const settingsLink = ['config', 'permission', 'auth'].includes(error.kind)
+        ? ' <button type="button" class="icon-button" data-action="open-ai-options">Open AI settings</button>'
+        : '';
+      outputEl.insertAdjacentHTML('beforeend',
+        `<div class="result-group error ai-error ${escapeHTML(error.kind || 'unknown')}">${escapeHTML(error.message)}${settingsLink}</div>`);
+    } finally {
+      if (explainController === controller) {
+        explainController = null;
+        stopButton.disabled = true;
+      }
+    }
+  }
+  
+  // Open the AI settings from an error message
+  function handleAIOutputClick(e) {
+    if (e.target.closest('[data-action="open-ai-options"]')) {
+      openExtensionPage('options.html#ai');
+    }
+  }
+  
+  // Summarize the configured endpoint in the Settings tab
+  async function showAISettingsStatus() {
+    const settings = await getAISettings();
+    let host = settings.baseUrl;
+    try {
+      host = new URL(settings.baseUrl).host;
+    } catch (e) {
+      // Show the base URL as entered
+    }
+    document.getElementById('ai-settings-status').textContent = settings.model
+      ? `Using ${settings.model} at ${host}${settings.apiKey ? ' with an API key' : ''}`
+      : 'Not set up yet';
+  }
+
+  // ======== Export ========
+  // Download the latest report in the chosen format
+  function exportReport(format) {
+    if (!currentReport) {
+      return;
+    }
+    downloadReport(currentReport, format);
+  }
+
+  // Enable the export and AI prompt buttons only once a report is available
+  function updateExportButtons() {
+    document.querySelectorAll('.export-button').forEach(button => {
+      button.disabled = !currentReport;
+    });
+    document.getElementById('copy-ai-prompt').disabled = !currentReport;
+    document.getElementById('explain-stack').disabled = !currentReport;
   }
 
   // ======== Form Handling ========
@@ -74,6 +303,13 @@ import { findJavaScriptFiles, findCSSFiles } from './file-analyzer.js';
     const options = {
       jsFrameworks: document.querySelector('input[name="js-frameworks"]').checked,
       cssFrameworks: document.querySelector('input[name="css-frameworks"]').checked,
+      styling: document.querySelector('input[name="styling"]').checked,
+      buildTools: document.querySelector('input[name="build-tools"]').checked,
+      services: document.querySelector('input[name="services"]').checked,
+      platforms: document.querySelector('input[name="platforms"]').checked,
+      infrastructure: document.querySelector('input[name="infrastructure"]').checked,
+      security: document.querySelector('input[name="security"]').checked,
+      metadata: document.querySelector('input[name="metadata"]').checked,
       listJS: document.querySelector('input[name="list-js"]').checked,
       listCSS: document.querySelector('input[name="list-css"]').checked,
       debugMode: document.querySelector('input[name="debug-mode"]').checked
@@ -84,910 +320,513 @@ import { findJavaScriptFiles, findCSSFiles } from './file-analyzer.js';
     reportEl.innerHTML = '';
     
     // Clear previous results
-    clipboardData = {
-      jsFiles: [],
-      cssFiles: []
-    };
+    currentReport = null;
+    updateExportButtons();
+    
+    switchTab('results');
     
     // Run analysis in the context of the active tab using Chrome API
     chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
       if (tabs && tabs[0]) {
-        chrome.scripting.executeScript({
-          target: { tabId: tabs[0].id },
-          function: analyzePage,
-          args: [options]
-        })
-        .then(results => {
-          if (results && results[0] && results[0].result) {
-            const findings = results[0].result;
-            
-            // Update clipboard data for AI prompt
-            if (findings.jsFiles) clipboardData.jsFiles = findings.jsFiles;
-            if (findings.cssFiles) clipboardData.cssFiles = findings.cssFiles;
-            
-            // Display results in the UI
-            displayResults(findings, options, reportEl);
+        const analyzedAt = new Date().toISOString();
+        
+        analyzePage(tabs[0].id, options)
+        .then(findings => {
+          showFindings(findings, options, tabs[0].url, analyzedAt);
+          
+          // Keep the run in history for this site (web pages only)
+          if (/^https?:/.test(tabs[0].url || '')) {
+            saveAnalysis(tabs[0].url, options, findings, analyzedAt).catch(error => {
+              console.error('Could not save analysis to history:', error);
+            });
           }
         })
         .catch(error => {
           console.error('Error during analysis:', error);
-          reportEl.innerHTML = `<div class="result-group error">Error analyzing page: ${error.message}</div>`;
+          reportEl.innerHTML = `<div class="result-group error">Error analyzing page: ${escapeHTML(error.message)}</div>`;
         });
       }
     });
   }
 
-  // ======== Page Analysis ========
-  // This function runs in the context of the analyzed web page
-  function analyzePage(options) {
-    try {
-      // Set up debug logger
-      const debugLog = options.debugMode 
-        ? (message, data) => console.log(`%c[Tech Analyzer Debug] %c${message}`, 'color: #2b90d9; font-weight: bold;', 'color: inherit;', data || '')
-        : () => {}; // No-op function when debug mode is off
-      
-      // Framework detection configuration copied here since this runs in page context
-      const FRAMEWORK_DETECTION = {
-        js: [
-          {
-            name: 'React',
-            confidence: 0,
-            signals: [
-              { type: 'global', patterns: ['React', 'ReactDOM', '__REACT_DEVTOOLS_GLOBAL_HOOK__'], weight: 3 },
-              { type: 'attribute', patterns: ['data-reactroot', 'data-reactid'], weight: 5 },
-              { type: 'class', patterns: ['react-', '_react'], weight: 2 },
-              { type: 'file', patterns: ['react.js', 'react.min.js', 'react-dom'], weight: 4 }
-            ],
-            minConfidence: 4 // Threshold required to confirm detection
-          },
-          {
-            name: 'Angular',
-            confidence: 0,
-            signals: [
-              { type: 'global', patterns: ['angular', 'ng'], weight: 3 },
-              { type: 'attribute', patterns: ['ng-', 'data-ng-', 'ng:'], weight: 5 },
-              { type: 'dom', test: () => !!document.querySelector('[ng-app],[data-ng-app]'), weight: 5 },
-              { type: 'file', patterns: ['angular.js', 'angular.min.js', 'angular-route'], weight: 4 }
-            ],
-            minConfidence: 5
-          },
-          {
-            name: 'Vue.js',
-            confidence: 0,
-            signals: [
-              { type: 'global', patterns: ['Vue', 'VueRouter', 'Vuex'], weight: 3 },
-              // Only match true Vue.js directives - specifically exclude data-v-* attributes
-              { type: 'dom', test: () => {
-                // Look for elements with true Vue.js directives (not data-v-* attributes)
-                // These selectors specifically target attributes that start with v- but don't have data- prefix
-                const hasDirectives = document.querySelector(
-                  '[v-for]:not([data-v-for]),[v-if]:not([data-v-if]),[v-bind]:not([data-v-bind]),' +
-                  '[v-model]:not([data-v-model]),[v-on]:not([data-v-on]),[v-show]:not([data-v-show]),' +
-                  '[v-cloak]:not([data-v-cloak]),[v-html]:not([data-v-html]),[v-text]:not([data-v-text])'
-                );
-                return !!hasDirectives;
-              }, weight: 5 },
-              { type: 'file', patterns: ['vue.js', 'vue.min.js', 'vue-router'], weight: 4 },
-              // Look for Vue instance mounting point
-              { type: 'dom', test: () => !!document.querySelector('#app[data-v-app],#app[data-server-rendered]'), weight: 3 }
-            ],
-            minConfidence: 6 // Increased threshold to avoid false positives
-          },
-          {
-            name: 'jQuery',
-            confidence: 0,
-            signals: [
-              { type: 'global', patterns: ['$', 'jQuery'], weight: 5 },
-              { type: 'dom', test: () => typeof window.jQuery === 'function' || typeof window.$ === 'function', weight: 5 },
-              { type: 'file', patterns: ['jquery.min.js', 'jquery.js', 'jquery-'], weight: 3 }
-            ],
-            minConfidence: 5
-          },
-          {
-            name: 'Alpine.js',
-            confidence: 0,
-            signals: [
-              { type: 'global', patterns: ['Alpine'], weight: 5 },
-              { type: 'attribute', patterns: ['x-data', 'x-bind', 'x-on', 'x-model'], weight: 5 },
-              { type: 'file', patterns: ['alpine.js', 'alpine.min.js'], weight: 4 }
-            ],
-            minConfidence: 5
-          },
-          {
-            name: 'Next.js',
-            confidence: 0,
-            signals: [
-              { type: 'global', patterns: ['__NEXT_DATA__', '__NEXT_LOADED_PAGES__'], weight: 5 },
-              { type: 'dom', test: () => !!document.getElementById('__next'), weight: 4 },
-              { type: 'dom', test: () => !!document.querySelector('script#__NEXT_DATA__'), weight: 5 },
-              { type: 'file', patterns: ['_next/static', '_next/'], weight: 4 }
-            ],
-            minConfidence: 5
-          },
-          {
-            name: 'Nuxt.js',
-            confidence: 0,
-            signals: [
-              { type: 'global', patterns: ['__NUXT__', '$nuxt'], weight: 5 },
-              { type: 'dom', test: () => !!document.getElementById('__nuxt'), weight: 4 },
-              { type: 'dom', test: () => !!document.querySelector('[data-n-head]'), weight: 4 },
-              { type: 'file', patterns: ['/_nuxt/'], weight: 3 }
-            ],
-            minConfidence: 5
-          },
-          {
-            name: 'Ember.js',
-            confidence: 0,
-            signals: [
-              { type: 'global', patterns: ['Ember', 'Em'], weight: 4 },
-              { type: 'dom', test: () => !!document.querySelector('[data-ember-action]'), weight: 5 },
-              { type: 'class', patterns: ['ember-view', 'ember-application'], weight: 5 },
-              { type: 'file', patterns: ['ember.js', 'ember.min.js'], weight: 3 }
-            ],
-            minConfidence: 5
-          }
-        ],
-        css: [
-          {
-            name: 'Bootstrap',
-            confidence: 0,
-            signals: [
-              // Look for very specific Bootstrap class combinations
-              { type: 'dom', test: () => {
-                // Check for distinctly Bootstrap class combinations
-                const bootstrapSpecificSelectors = [
-                  // Navbar with specific Bootstrap structure
-                  '.navbar.navbar-expand-lg, .navbar.navbar-expand-md, .navbar.navbar-expand-sm',
-                  // Button groups (very Bootstrap specific)
-                  '.btn-group > .btn, .btn-group-vertical > .btn',
-                  // Input groups (very Bootstrap specific)
-                  '.input-group > .input-group-prepend, .input-group > .input-group-append',
-                  // Card with Bootstrap structure
-                  '.card > .card-header + .card-body',
-                  // Bootstrap specific utilities (less generic than btn-primary)
-                  '.d-flex.justify-content-between, .d-flex.align-items-center',
-                  // Bootstrap accordion components
-                  '.accordion > .accordion-item > .accordion-header',
-                  // Bootstrap specific spacing classes in combination
-                  '.mt-3.mb-3.pt-4, .my-3.py-4, .m-auto.p-3'
-                ];
-                
-                let matchCount = 0;
-                bootstrapSpecificSelectors.forEach(selector => {
-                  try {
-                    if (document.querySelector(selector)) {
-                      matchCount++;
-                      if (options.debugMode) {
-                        debugLog(`Bootstrap specific pattern matched: ${selector}`);
-                      }
-                    }
-                  } catch(e) {
-                    // Ignore invalid selector errors
-                  }
-                });
-                
-                return matchCount >= 2; // Need at least 2 distinctive Bootstrap patterns
-              }, weight: 5 },
-              
-              // Look for Bootstrap's JS components
-              { type: 'dom', test: () => {
-                // Check for Bootstrap's data attributes
-                const bootstrapJSAttributes = [
-                  '[data-bs-toggle="modal"]',
-                  '[data-bs-toggle="collapse"]',
-                  '[data-bs-toggle="dropdown"]',
-                  '[data-bs-toggle="tooltip"]',
-                  '[data-bs-toggle="popover"]',
-                  '[data-bs-target]',
-                  '[data-bs-ride="carousel"]'
-                ];
-                
-                let attributeCount = 0;
-                bootstrapJSAttributes.forEach(attr => {
-                  try {
-                    if (document.querySelector(attr)) {
-                      attributeCount++;
-                      if (options.debugMode) {
-                        debugLog(`Bootstrap JS attribute found: ${attr}`);
-                      }
-                    }
-                  } catch(e) {
-                    // Ignore invalid selector errors
-                  }
-                });
-                
-                return attributeCount >= 1; // Need at least one Bootstrap JS component
-              }, weight: 4 },
-              
-              // Check for Bootstrap CSS file patterns
-              { type: 'file', patterns: ['bootstrap.min.css', 'bootstrap.bundle.min.js', 'bootstrap/5', 'bootstrap/4'], weight: 5 },
-              
-              // Examine CSS file contents for Bootstrap signatures
-              { type: 'dom', test: () => {
-                // Try to fetch and examine the content of CSS files
-                try {
-                  // Find all stylesheet links
-                  const styleLinks = Array.from(document.querySelectorAll('link[rel="stylesheet"]'));
-                  
-                  if (options.debugMode) {
-                    debugLog(`Examining ${styleLinks.length} stylesheet links for Bootstrap signatures`, 
-                      styleLinks.map(link => link.href));
-                  }
-                  
-                  // Look for Bootstrap comment signatures in stylesheets that are already loaded
-                  const bootstrapSignatures = [
-                    'Bootstrap',
-                    'getbootstrap.com',
-                    'twitter.com/bootstrap'
-                  ];
-                  
-                  // Check if any loaded stylesheets have Bootstrap content
-                  for (const sheet of document.styleSheets) {
-                    try {
-                      // Some cross-origin sheets cannot be accessed
-                      if (sheet.cssRules) {
-                        // Convert first few rules to text to check for comments
-                        const firstRules = Array.from(sheet.cssRules).slice(0, 5);
-                        const cssText = firstRules.map(rule => rule.cssText).join(' ');
-                        
-                        for (const signature of bootstrapSignatures) {
-                          if (cssText.includes(signature)) {
-                            if (options.debugMode) {
-                              debugLog(`Found Bootstrap signature in CSS: ${signature}`, {
-                                sheetHref: sheet.href,
-                                sampleText: cssText.slice(0, 100)
-                              });
-                            }
-                            return true;
-                          }
-                        }
-                      }
-                    } catch (e) {
-                      // CORS errors when accessing cross-origin stylesheets - ignore
-                    }
-                  }
-                  
-                  return false;
-                } catch (e) {
-                  if (options.debugMode) {
-                    debugLog('Error examining CSS file contents:', e);
-                  }
-                  return false;
-                }
-              }, weight: 5 },
-              
-              // Check for Bootstrap's global variable (Bootstrap 4+)
-              { type: 'global', patterns: ['bootstrap', 'Bootstrap'], weight: 3 }
-            ],
-            minConfidence: 8 // Increased threshold to require multiple strong signals
-          },
-          {
-            name: 'Tailwind CSS',
-            confidence: 0,
-            signals: [
-              // More specific file patterns
-              { type: 'file', patterns: ['tailwind.css', 'tailwind.min.css', '/tailwindcss/'], weight: 5 },
-              
-              // Comprehensive test for Tailwind's utility classes
-              { type: 'dom', test: () => {
-                // Elements to examine for Tailwind patterns
-                const elements = Array.from(document.querySelectorAll('body *[class]')).slice(0, 100); // Limit to first 100 elements
-                
-                if (elements.length === 0) return false;
-                
-                // Count elements with Tailwind-like utility classes
-                const tailwindPatterns = [
-                  /\b(m|p)[xy]?-[0-9]+\b/, // Margin/padding utilities
-                  /\btext-(xs|sm|base|lg|xl|2xl|gray-[0-9]+)\b/, // Text utilities
-                  /\b(flex|grid|block|inline|hidden)\b/, // Display utilities
-                  /\bg(ap|rid-cols)-[0-9]+\b/, // Grid utilities
-                  /\b(bg|text|border)-(gray|blue|green|red|yellow)-[0-9]+\b/, // Color utilities
-                  /\b(rounded|shadow|opacity)-[a-z0-9]+\b/ // Appearance utilities
-                ];
-                
-                // Tailwind typically has multiple utilities per element, so check for density
-                let tailwindElementCount = 0;
-                let elementWithMultipleUtilitiesCount = 0;
-                
-                for (const el of elements) {
-                  const classList = el.className.split(/\s+/);
-                  
-                  // Check how many Tailwind patterns this element matches
-                  let matchedPatterns = 0;
-                  for (const pattern of tailwindPatterns) {
-                    if (classList.some(cls => pattern.test(cls))) {
-                      matchedPatterns++;
-                    }
-                  }
-                  
-                  if (matchedPatterns > 0) {
-                    tailwindElementCount++;
-                  }
-                  
-                  if (matchedPatterns >= 3) {
-                    elementWithMultipleUtilitiesCount++;
-                  }
-                }
-                
-                // Check density of Tailwind usage:
-                // 1. At least 15% of elements should have Tailwind classes
-                // 2. At least 5 elements should have multiple Tailwind utilities
-                const tailwindDensity = tailwindElementCount / elements.length;
-                
-                if (options.debugMode) {
-                  debugLog('Tailwind detection stats:', {
-                    totalElementsChecked: elements.length,
-                    elementsWithTailwindClasses: tailwindElementCount,
-                    elementsWithMultipleUtilities: elementWithMultipleUtilitiesCount,
-                    tailwindDensity: tailwindDensity
-                  });
-                }
-                
-                return tailwindDensity > 0.15 && elementWithMultipleUtilitiesCount >= 5;
-              }, weight: 7 }
-            ],
-            minConfidence: 8
-          },
-          {
-            name: 'Material UI',
-            confidence: 0,
-            signals: [
-              { type: 'class', patterns: ['MuiButton-', 'MuiInput-', 'MuiTypography-', 'makeStyles-'], weight: 5 },
-              { type: 'file', patterns: ['material-ui', 'mui'], weight: 3 },
-              { type: 'dom', test: () => !!document.querySelector('[class*="MuiButton"],[class*="MuiInput"],[class*="MuiPaper"]'), weight: 5 }
-            ],
-            minConfidence: 5
-          },
-          {
-            name: 'Semantic UI',
-            confidence: 0,
-            signals: [
-              { type: 'class', patterns: ['ui segment', 'ui grid', 'ui button', 'ui menu'], weight: 5 },
-              { type: 'file', patterns: ['semantic.min.css', 'semantic.css', 'semantic-ui'], weight: 4 },
-              { type: 'dom', test: () => {
-                const hasUIClasses = !!document.querySelector('.ui.button,.ui.grid,.ui.menu,.ui.form');
-                return hasUIClasses;
-              }, weight: 4 }
-            ],
-            minConfidence: 5
-          },
-          {
-            name: 'Chakra UI',
-            confidence: 0,
-            signals: [
-              { type: 'class', patterns: ['chakra-', 'css-'], weight: 3 },
-              { type: 'dom', test: () => !!document.querySelector('[data-chakra-component]'), weight: 5 },
-              { type: 'global', patterns: ['ChakraProvider'], weight: 5 }
-            ],
-            minConfidence: 5
-          }
-        ]
-      };
-      
-      // Use local functions instead of imported ones
-      // Detect frameworks on the page
-      function detectFrameworks() {
-        // Create the findings results object
-        const frameworkFindings = {
-          jsFrameworks: [],
-          cssFrameworks: []
-        };
-        
-        // Detect JS frameworks
-        if (options.jsFrameworks) {
-          frameworkFindings.jsFrameworks = getDetectedFrameworks(FRAMEWORK_DETECTION.js);
-          
-          // Ensure we always return something even if no frameworks detected
-          if (frameworkFindings.jsFrameworks.length === 0) {
-            frameworkFindings.jsFrameworks.push('None detected');
-          }
-        }
-        
-        // Detect CSS frameworks
-        if (options.cssFrameworks) {
-          frameworkFindings.cssFrameworks = getDetectedFrameworks(FRAMEWORK_DETECTION.css);
-          
-          // Ensure we always return something even if no frameworks detected
-          if (frameworkFindings.cssFrameworks.length === 0) {
-            frameworkFindings.cssFrameworks.push('None detected');
-          }
-        }
-        
-        return frameworkFindings;
-      }
-      
-      // Helper for determining detected frameworks by threshold
-      function getDetectedFrameworks(frameworkList) {
-        // Create a fresh findings array
-        const detectedFrameworks = [];
-        
-        // Process each framework
-        frameworkList.forEach(framework => {
-          // Reset confidence for this framework
-          framework.confidence = 0;
-          const detectionDetails = [];
-          
-          // Evaluate each signal for this framework
-          framework.signals.forEach(signal => {
-            // Track signal detection details
-            const signalResults = { 
-              type: signal.type, 
-              weight: signal.weight,
-              detected: false,
-              details: []
-            };
-            
-            // Check for global variables in window object
-            if (signal.type === 'global' && signal.patterns) {
-              signal.patterns.forEach(pattern => {
-                if (window[pattern]) {
-                  framework.confidence += signal.weight;
-                  signalResults.detected = true;
-                  signalResults.details.push(`Found global variable: ${pattern}`);
-                  
-                  // Add value type information for debugging
-                  if (options.debugMode) {
-                    const type = typeof window[pattern];
-                    const isFunction = type === 'function';
-                    const preview = isFunction ? 'function()' : 
-                                 (type === 'object' ? (window[pattern] === null ? 'null' : '{}') : 
-                                 String(window[pattern]).slice(0, 50));
-                    signalResults.details.push(`Type: ${type}, Value: ${preview}`);
-                  }
-                }
-              });
-            }
-            
-            // Check for script sources and file patterns
-            if (signal.type === 'file' && signal.patterns) {
-              const scriptTags = Array.from(document.querySelectorAll('script[src]'));
-              const scriptSrcs = scriptTags.map(tag => tag.src.toLowerCase());
-              const pageSource = document.documentElement.outerHTML.toLowerCase();
-              
-              signal.patterns.forEach(pattern => {
-                const patternLower = pattern.toLowerCase();
-                const matchingSrc = scriptSrcs.find(src => src.includes(patternLower));
-                
-                if (matchingSrc) {
-                  framework.confidence += signal.weight;
-                  signalResults.detected = true;
-                  signalResults.details.push(`Found script src: ${matchingSrc}`);
-                  
-                  // Add detailed source information for debugging
-                  if (options.debugMode) {
-                    // Find the actual script tag with this source
-                    const matchingTag = scriptTags.find(tag => tag.src.toLowerCase().includes(patternLower));
-                    if (matchingTag) {
-                      debugLog(`Script file matching "${pattern}":`, {
-                        fullUrl: matchingTag.src,
-                        tag: matchingTag.outerHTML.slice(0, 150) + (matchingTag.outerHTML.length > 150 ? '...' : '')
-                      });
-                    }
-                  }
-                } else if (pageSource.includes(patternLower)) {
-                  // Lower weight if just mentioned in source but not as a script
-                  framework.confidence += 1;
-                  signalResults.detected = true;
-                  signalResults.details.push(`Found pattern in page source: ${pattern}`);
-                  
-                  // Show context of the match in page source
-                  if (options.debugMode) {
-                    const index = pageSource.indexOf(patternLower);
-                    const start = Math.max(0, index - 50);
-                    const end = Math.min(pageSource.length, index + patternLower.length + 50);
-                    const context = pageSource.substring(start, end);
-                    debugLog(`Source context containing "${pattern}":`, `...${context}...`);
-                  }
-                }
-              });
-            }
-            
-            // Check for DOM attributes (with error handling)
-            if (signal.type === 'attribute' && signal.patterns) {
-              signal.patterns.forEach(pattern => {
-                const selector = `[${pattern}],[data-${pattern}]`;
-                try {
-                  const matchingElements = document.querySelectorAll(selector);
-                  if (matchingElements.length > 0) {
-                    framework.confidence += signal.weight;
-                    signalResults.detected = true;
-                    signalResults.details.push(`Found ${matchingElements.length} elements with attribute: ${pattern}`);
-                    
-                    // Add detailed element information for debugging
-                    if (options.debugMode) {
-                      debugLog(`Detected ${matchingElements.length} elements with attribute: ${pattern}`);
-                      
-                      const elementDetails = Array.from(matchingElements).slice(0, 3).map(el => {
-                        // Get element tag and a sample of its HTML
-                        const tagName = el.tagName.toLowerCase();
-                        const snippet = el.outerHTML.slice(0, 100) + (el.outerHTML.length > 100 ? '...' : '');
-                        return `<${tagName}...> ${snippet}`;
-                      });
-                      signalResults.details.push('Element samples:', elementDetails);
-                    }
-                  }
-                } catch(e) {
-                  // Ignore invalid selector errors
-                }
-              });
-            }
-            
-            // Check for class name patterns
-            if (signal.type === 'class' && signal.patterns) {
-              signal.patterns.forEach(pattern => {
-                const elements = Array.from(document.querySelectorAll('[class]'));
-                const patternLower = pattern.toLowerCase();
-                let foundElements = [];
-                
-                for (const el of elements) {
-                  // Safely handle className which may not always be a string
-                  const className = typeof el.className === 'string' 
-                    ? el.className 
-                    : (el.className.baseVal || ''); // Handle SVGAnimatedString and other cases
-                  
-                  if (className.toLowerCase().includes(patternLower)) {
-                    foundElements.push(el);
-                    framework.confidence += signal.weight;
-                    signalResults.detected = true;
-                    break; // Only count once per pattern
-                  }
-                }
-                
-                if (foundElements.length > 0) {
-                  signalResults.details.push(`Found ${foundElements.length} elements with class matching: ${pattern}`);
-                  // Log the first element's class for reference
-                  if (foundElements[0]) {
-                    const className = typeof foundElements[0].className === 'string' 
-                      ? foundElements[0].className 
-                      : (foundElements[0].className.baseVal || '');
-                    signalResults.details.push(`Example class: ${className}`);
-                    
-                    // Add more detailed element information
-                    if (options.debugMode) {
-                      // Get element tag and a snippet of HTML for the first 3 elements
-                      const elementDetails = foundElements.slice(0, 3).map(el => {
-                        const tagName = el.tagName.toLowerCase();
-                        const htmlSnippet = el.outerHTML.slice(0, 100) + (el.outerHTML.length > 100 ? '...' : '');
-                        return `<${tagName} class="${typeof el.className === 'string' ? el.className : el.className.baseVal || ''}"...> ${htmlSnippet}`;
-                      });
-                      signalResults.details.push('Element samples with matching classes:', elementDetails);
-                    }
-                  }
-                }
-              });
-            }
-            
-            // Run custom DOM structure tests
-            if (signal.type === 'dom' && typeof signal.test === 'function') {
-              try {
-                if (signal.test()) {
-                  framework.confidence += signal.weight;
-                  signalResults.detected = true;
-                  signalResults.details.push(`DOM structure test passed`);
-                }
-              } catch(e) {
-                // Ignore test failures
-              }
-            }
-            
-            // Save detection details if this signal contributed to detection
-            if (signalResults.detected) {
-              detectionDetails.push(signalResults);
-            }
-          });
-          
-          // Only include frameworks that meet confidence threshold
-          if (framework.confidence >= framework.minConfidence) {
-            detectedFrameworks.push(framework.name);
-            
-            // Log detailed detection info in debug mode
-            if (options.debugMode) {
-              debugLog(`Detected ${framework.name} with confidence score: ${framework.confidence}/${framework.minConfidence}`);
-              
-              detectionDetails.forEach(signal => {
-                debugLog(`Signal type: ${signal.type} (weight: ${signal.weight})`, signal.details);
-              });
-              
-              // Visual separator for easier reading
-              console.log('%c------------------------------------', 'color: #ccc');
-            }
-          }
-        });
-        
-        return detectedFrameworks;
-      }
-      
-      // Find CSS files
-      function findCSSFiles() {
-        // Collect debug information
-        const debugInfo = {
-          allStylesheets: [],
-          filtered: [],
-          errors: [],
-          skipped: []
-        };
-        
-        // Get all stylesheet links
-        const stylesheets = Array.from(document.querySelectorAll('link[rel="stylesheet"][href]'));
-        
-        if (options.debugMode) {
-          debugLog(`Found ${stylesheets.length} stylesheet links`, 
-            stylesheets.map(link => link.getAttribute('href')));
-        }
-        
-        // Common CSS filenames to always include, even if they'd be filtered
-        const importantCssPatterns = [
-          'style.min.css',
-          'main.css',
-          'styles.css',
-          'bundle.css',
-          'app.css',
-          'theme.css'
-        ];
-        
-        // Also look at all loaded stylesheets via document.styleSheets (captures inline styles too)
-        const styleSheetUrls = new Set();
-        for (const sheet of document.styleSheets) {
-          try {
-            if (sheet.href) {
-              styleSheetUrls.add(sheet.href);
-              if (options.debugMode) {
-                debugInfo.allStylesheets.push(sheet.href);
-              }
-            }
-          } catch (e) {
-            if (options.debugMode) {
-              debugInfo.errors.push(`Error accessing stylesheet: ${e.message}`);
-            }
-          }
-        }
-        
-        // Create a set to track unique filenames
-        const uniqueFilenames = new Set();
-        
-        const cssFiles = stylesheets
-          .map(link => {
-            try {
-              const href = link.href.toLowerCase();
-              
-              // Always include important CSS files regardless of filters
-              for (const pattern of importantCssPatterns) {
-                if (href.includes(pattern)) {
-                  const filename = pattern;
-                  if (options.debugMode) {
-                    debugLog(`Found important CSS file: ${filename}`, {
-                      fullUrl: link.href,
-                      reason: "Matched important pattern"
-                    });
-                  }
-                  return filename;
-                }
-              }
-              
-              const url = new URL(link.href);
-              const pathname = url.pathname;
-              
-              // More lenient filtering - only skip obvious API calls
-              // Skip API calls and non-CSS URLs
-              if (pathname.includes('/api/') || 
-                  pathname.includes('/json') || 
-                  (!pathname.toLowerCase().endsWith('.css') && !pathname.includes('.css'))) {
-                if (options.debugMode) {
-                  debugLog(`Skipping non-CSS resource: ${link.href}`);
-                  debugInfo.skipped.push({url: link.href, reason: "Not a CSS file"});
-                }
-                return null;
-              }
-              
-              // Extract just the filename - now handle paths without extensions better
-              let filename = pathname.split('/').pop();
-              
-              // Handle URLs that might not have a proper filename
-              if (!filename || !filename.includes('.')) {
-                // Try to generate a meaningful name from the URL
-                const domain = url.hostname.replace('www.', '');
-                filename = `${domain}-stylesheet.css`;
-              }
-              
-              if (options.debugMode) {
-                debugLog(`Found CSS file: ${filename}`, {
-                  fullUrl: link.href,
-                  element: link.outerHTML.slice(0, 100)
-                });
-                debugInfo.filtered.push(filename);
-              }
-              return filename;
-            } catch (e) {
-              // Fallback for relative URLs
-              let href = link.getAttribute('href');
-              if (!href) return null;
-              
-              href = href.toLowerCase();
-              
-              // Always include important CSS files regardless of filters
-              for (const pattern of importantCssPatterns) {
-                if (href.includes(pattern)) {
-                  const filename = pattern;
-                  if (options.debugMode) {
-                    debugLog(`Found important relative CSS file: ${filename}`, {
-                      href: link.getAttribute('href'),
-                      reason: "Matched important pattern"
-                    });
-                  }
-                  return filename;
-                }
-              }
-              
-              const parts = href.split('/');
-              let filename = parts.pop();
-              
-              // Handle endpoints without extensions
-              if (!filename || !filename.includes('.css')) {
-                if (options.debugMode) {
-                  debugLog(`Skipping non-CSS relative URL: ${href}`);
-                  debugInfo.skipped.push({url: href, reason: "Not a CSS file"});
-                }
-                return null;
-              }
-              
-              if (options.debugMode) {
-                debugLog(`Found relative CSS file: ${filename}`, {
-                  relativePath: href
-                });
-                debugInfo.filtered.push(filename);
-              }
-              return filename;
-            }
-          })
-          .filter(filename => {
-            // Remove nulls and ensure uniqueness
-            if (!filename) return false;
-            if (uniqueFilenames.has(filename)) return false;
-            uniqueFilenames.add(filename);
-            return true;
-          });
-
-        // Output comprehensive debug information about stylesheet detection
-        if (options.debugMode) {
-          debugLog('CSS file detection summary:', {
-            totalStylesheetLinks: stylesheets.length,
-            totalLoadedStylesheets: styleSheetUrls.size,
-            filteredResults: cssFiles.length,
-            allStylesheets: debugInfo.allStylesheets,
-            filteredFiles: debugInfo.filtered,
-            skippedFiles: debugInfo.skipped,
-            errors: debugInfo.errors
-          });
-        }
-          
-        // Ensure we always return something even if no files found
-        if (cssFiles.length === 0) {
-          return ['None found'];
-        }
-        
-        return cssFiles;
-      }
+  // Make findings the current results: export report and results panel
+  function showFindings(findings, options, url, analyzedAt) {
+    // Keep a report of this run for exporting and the AI prompt builder
+    currentReport = buildReport(findings, { url, analyzedAt, options });
+    updateExportButtons();
+    
+    // Display results in the UI
+    displayResults(findings, options, url, document.getElementById('report'));
+  }
+
+  // Display the result background mode cached for the active tab, if it is still current
+  async function showCachedResult() {
+    const tab = await getActiveTab();
+    if (!tab) {
+      return;
+    }
+    
+    const cached = await getTabResult(tab.id);
+    if (!cached || cached.url !== tab.url) {
+      return;
+    }
+    
+    showFindings(cached.findings, cached.options, cached.url, cached.analyzedAt);
+    document.getElementById('report').insertAdjacentHTML('afterbegin',
+      `<div class="history-notice">Analyzed automatically when the page loaded (${escapeHTML(formatTimestamp(cached.analyzedAt))})</div>`);
+  }
+
+  // ======== History ========
+  // List past runs for the active tab's site
+  async function loadHistory() {
+    const listEl = document.getElementById('history-list');
+    const siteEl = document.getElementById('history-site');
+    const clearButton = document.getElementById('clear-history');
+    const tab = await getActiveTab();
+    
+    if (!tab || !/^https?:/.test(tab.url || '')) {
+      historyEntries = [];
+      siteEl.textContent = '';
+      clearButton.disabled = true;
+      listEl.innerHTML = '<li class="result-item">History is only kept for web pages.</li>';
+      return;
+    }
+    
+    siteEl.textContent = new URL(tab.url).origin;
+    historyEntries = await getSiteHistory(tab.url);
+    clearButton.disabled = historyEntries.length === 0;
+    
+    if (historyEntries.length === 0) {
+      listEl.innerHTML = '<li class="result-item">No saved analyses for this site yet.</li>';
+      return;
+    }
+    
+    listEl.innerHTML = historyEntries.map(entry => {
+      const { pathname } = new URL(entry.url);
+      const technologies = listDetected(entry.findings)
+        .map(framework => framework.name);
+      const summary = technologies.length > 0 ? technologies.join(', ') : 'No frameworks detected';
       
-      // Find JS files 
-      function findJavaScriptFiles() {
-        const jsFiles = Array.from(document.querySelectorAll('script[src]'))
-          .map(script => {
-            try {
-              const url = new URL(script.src);
-              const pathname = url.pathname;
-              
-              // Skip API calls and non-file URLs
-              if (pathname.includes('/api/') || 
-                  pathname.includes('/json') || 
-                  url.search || // Has query parameters
-                  !pathname.includes('.')) {
-                if (options.debugMode) {
-                  debugLog(`Skipping script: ${script.src}`);
-                }
-                return null;
-              }
-              
-              // Extract just the filename
-              const filename = pathname.split('/').pop();
-              if (options.debugMode) {
-                debugLog(`Found JS file: ${filename}`, {
-                  fullUrl: script.src,
-                  element: script.outerHTML.slice(0, 100)
-                });
-              }
-              return filename;
-            } catch (e) {
-              // Fallback for relative URLs
-              const parts = script.src.split('/');
-              const filename = parts.pop();
-              
-              // Apply same filtering to relative URLs
-              if (parts.some(part => part === 'api') || 
-                  !filename.includes('.') || 
-                  script.src.includes('?')) {
-                if (options.debugMode) {
-                  debugLog(`Skipping relative script: ${script.src}`);
-                }
-                return null;
-              }
-              
-              if (options.debugMode) {
-                debugLog(`Found relative JS file: ${filename}`, {
-                  relativePath: script.src
-                });
-              }
-              return filename;
-            }
-          })
-          .filter(filename => filename); // Remove nulls and empty entries
-          
-        // Ensure we always return something even if no files found
-        if (jsFiles.length === 0) {
-          return ['None found'];
+      return `<li class="history-entry">` +
+        `<button type="button" class="history-open" data-id="${escapeHTML(entry.id)}" title="Open this report">` +
+        `<span class="history-time">${escapeHTML(formatTimestamp(entry.analyzedAt))}</span>` +
+        `<span class="history-path">${escapeHTML(pathname)}</span>` +
+        `<span class="history-summary">${escapeHTML(summary)}</span>` +
+        `</button>` +
+        `<button type="button" class="history-remove" data-id="${escapeHTML(entry.id)}" aria-label="Remove this run" title="Remove this run">✕</button>` +
+        `</li>`;
+    }).join('');
+  }
+
+  // Open or remove a history entry depending on which button was clicked
+  function handleHistoryClick(e) {
+    const button = e.target.closest('button[data-id]');
+    if (!button) {
+      return;
+    }
+    
+    const entry = historyEntries.find(item => item.id === button.dataset.id);
+    if (!entry) {
+      return;
+    }
+    
+    if (button.classList.contains('history-remove')) {
+      deleteHistoryEntry(entry.key, entry.id).then(loadHistory);
+      return;
+    }
+    
+    // Reopen the saved report in the results panel
+    switchTab('results');
+    showFindings(entry.findings, entry.options, entry.url, entry.analyzedAt);
+    document.getElementById('report').insertAdjacentHTML('afterbegin',
+      `<div class="history-notice">Saved analysis of ${escapeHTML(entry.url)} from ${escapeHTML(formatTimestamp(entry.analyzedAt))}</div>`);
+  }
+
+  // Remove every saved run for the active tab's site
+  async function clearHistory() {
+    const tab = await getActiveTab();
+    if (!tab || !tab.url) {
+      return;
+    }
+    
+    await clearSiteHistory(tab.url);
+    showToast('History cleared');
+    loadHistory();
+  }
+
+  // Open a full extension page (comparison dashboard, batch analysis) in a new tab
+  function openExtensionPage(path) {
+    chrome.tabs.create({ url: chrome.runtime.getURL(path) });
+  }
+
+  // ======== Settings ========
+  // Fill the settings form from storage
+  async function loadSettings() {
+    const settings = await getBackgroundSettings();
+    const form = document.getElementById('background-form');
+    
+    form.elements['background-enabled'].checked = settings.enabled;
+    form.elements['list-mode'].value = settings.listMode;
+    form.elements.hosts.value = settings.hosts.join('\n');
+    
+    showAdvisoriesStatus();
+    showCustomSignaturesStatus();
+    showAISettingsStatus();
+  }
+
+  // Save background analysis settings, asking for access to the configured hosts when enabling
+  async function handleSettingsSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    
+    const settings = {
+      enabled: form.elements['background-enabled'].checked,
+      listMode: form.elements['list-mode'].value,
+      hosts: parseHostList(form.elements.hosts.value)
+    };
+    
+    if (settings.enabled && settings.listMode === 'allow' && settings.hosts.length === 0) {
+      showToast('Add at least one host to analyze');
+      return;
+    }
+    
+    let message = 'Settings saved';
+    
+    // Host access must be requested while the click is still being handled
+    if (settings.enabled) {
+      try {
+        const granted = await chrome.permissions.request({ origins: getRequiredOrigins(settings) });
+        if (!granted) {
+          settings.enabled = false;
+          form.elements['background-enabled'].checked = false;
+          message = 'Host access was not granted, background analysis stays off';
         }
-        
-        return jsFiles;
+      } catch (error) {
+        console.error('Could not request host access:', error);
+        showToast('Invalid host in the list');
+        return;
       }
-      
-      // Now run the detection functions and assemble findings
-      const frameworkFindings = detectFrameworks();
-      
-      // Initialize results object
-      const findings = {
-        jsFrameworks: frameworkFindings.jsFrameworks,
-        cssFrameworks: frameworkFindings.cssFrameworks,
-        jsFiles: [],
-        cssFiles: []
-      };
+    }
+    
+    await saveBackgroundSettings(settings);
+    form.elements.hosts.value = settings.hosts.join('\n');
+    showToast(message, 3000);
+  }
 
-      // Find JavaScript files if requested
-      if (options.listJS) {
-        findings.jsFiles = findJavaScriptFiles();
-      }
-      
-      // Find CSS files if requested
-      if (options.listCSS) {
-        findings.cssFiles = findCSSFiles();
-      }
-      
-      return findings;
+  // Describe the advisory database in use, and only offer a reset when an import replaced the bundled one
+  async function showAdvisoriesStatus() {
+    const status = document.getElementById('advisories-status');
+    try {
+      const database = await loadAdvisories();
+      const origin = database.source === 'imported' ? 'Imported' : 'Bundled';
+      status.textContent = `${origin} database, ${database.advisories.length} advisories, updated ${database.updated || 'unknown'}`;
+      document.getElementById('reset-advisories').hidden = database.source !== 'imported';
     } catch (error) {
-      console.error('Error in analyzePage:', error);
-      return {
-        jsFrameworks: ['Error in detection'],
-        cssFrameworks: ['Error in detection'],
-        jsFiles: [],
-        cssFiles: []
-      };
+      console.error('Could not load advisories:', error);
+      status.textContent = 'Advisory database could not be loaded';
+    }
+  }
+
+  // Replace the advisory database with the chosen JSON file
+  async function handleAdvisoriesImport(e) {
+    const [file] = e.target.files;
+    if (!file) {
+      return;
+    }
+    
+    try {
+      const count = await importAdvisories(await file.text());
+      showToast(`Imported ${count} advisories`);
+    } catch (error) {
+      showToast(`Import failed: ${error.message}`, 4000);
     }
+    e.target.value = '';
+    showAdvisoriesStatus();
+  }
+
+  // Go back to the advisory database bundled with the extension
+  async function handleAdvisoriesReset() {
+    await resetAdvisories();
+    showToast('Using the bundled advisory database');
+    showAdvisoriesStatus();
+  }
+
+  // Read the badge colours of the custom signatures
+  async function loadCustomColors() {
+    try {
+      const customSignatures = await loadCustomSignatures();
+      customColors = new Map(customSignatures.map(definition => [definition.name, definition.badgeColor]));
+    } catch (error) {
+      console.error('Could not load custom signatures:', error);
+    }
+  }
+
+  // Count the custom signatures evaluated alongside the bundled ones
+  async function showCustomSignaturesStatus() {
+    await loadCustomColors();
+    const count = customColors.size;
+    document.getElementById('custom-signatures-status').textContent = count === 0
+      ? 'No custom technologies defined'
+      : `${count} custom technolog${count === 1 ? 'y' : 'ies'} detected alongside the built-in ones`;
   }
 
   // ======== Results Display ========
+  // Summarize where a framework version was read from (short pill label plus full tooltip)
+  function describeVersionSource(source) {
+    switch (source.type) {
+      case 'global':
+        return { label: `via ${source.detail}`, title: `Read from the runtime global ${source.detail}` };
+      case 'attribute':
+        return { label: `via [${source.detail}]`, title: `Read from the ${source.detail} attribute` };
+      case 'header':
+        return { label: 'via header', title: `Read from the response header ${source.detail}` };
+      case 'meta':
+        return { label: 'via generator', title: `Read from <meta name="generator" content="${source.detail}">` };
+      case 'banner':
+        return { label: 'via banner', title: `Read from the banner comment in ${source.detail}` };
+      case 'url':
+        return { label: 'via CDN path', title: `Read from the resource URL ${source.detail}` };
+      default:
+        return { label: '', title: '' };
+    }
+  }
+
+  // Render one framework finding as an expandable pill with its score bar and evidence
+  function renderFinding(finding) {
+    // Bar fills up to the detection threshold; anything beyond is capped
+    const fill = Math.min(100, Math.round((finding.score / finding.threshold) * 100));
+    let versionMarkup = '';
+    let title = `Score ${finding.score} / ${finding.threshold}`;
+    
+    if (finding.version) {
+      const source = describeVersionSource(finding.versionSource);
+      versionMarkup = ` ${escapeHTML(finding.version)}<span class="version-source">${escapeHTML(source.label)}</span>`;
+      title += ` - ${source.title}`;
+    }
+    
+    const signals = finding.signals.map(signal => {
+      const evidence = signal.evidence.map(item =>
+        `<li>${escapeHTML(item.match)}` +
+        (item.sample ? `<code class="evidence-sample">${escapeHTML(item.sample)}</code>` : '') +
+        '</li>'
+      ).join('');
+      return `<li><span class="signal-type">${escapeHTML(signal.type)}</span> +${signal.points}<ul>${evidence}</ul></li>`;
+    }).join('');
+    
+    // Account IDs (third-party services) and themes or plugins (platforms) the page exposes
+    const renderExtracted = (heading, items) => items && items.length > 0
+      ? `<strong>${heading}:</strong><ul class="signal-list">` + items.map(item =>
+          `<li>${escapeHTML(item.label)}: <code class="id-value">${escapeHTML(item.value)}</code> <span class="id-source">${escapeHTML(item.source)}</span></li>`
+        ).join('') + '</ul>'
+      : '';
+    const ids = renderExtracted('IDs', finding.ids) + renderExtracted('Themes & plugins', finding.components);
+    
+    // Known vulnerabilities for the detected version, from the offline advisory database
+    const advisories = finding.advisories && finding.advisories.length > 0
+      ? '<strong>Known vulnerabilities:</strong><ul class="signal-list">' + finding.advisories.map(advisory =>
+          `<li><span class="advisory-severity ${escapeHTML(advisory.severity)}">${escapeHTML(advisory.severity)}</span> ` +
+          `${escapeHTML(advisory.identifiers.join(', '))}: ${escapeHTML(advisory.summary)} ` +
+          `<span class="id-source">affects ${escapeHTML(advisory.range)}</span></li>`
+        ).join('') + '</ul>'
+      : '';
+    if (advisories) {
+      title += ` - ${finding.advisories.length} known vulnerabilit${finding.advisories.length === 1 ? 'y' : 'ies'}`;
+    }
+    
+    // Custom signatures are tagged and drawn in their own badge colour
+    const classes = ['framework-item', finding.custom ? 'custom' : '', advisories ? 'vulnerable' : ''].filter(Boolean).join(' ');
+    const customColor = finding.custom && customColors.get(finding.name);
+    const style = customColor ? ` style="--badge-color: ${escapeHTML(customColor)}"` : '';
+    const customTag = finding.custom ? '<span class="custom-tag">custom</span>' : '';
+    
+    return `<details class="${classes}"${style} title="${escapeHTML(title)}">` +
+      `<summary>${escapeHTML(finding.name)}${versionMarkup}${customTag}</summary>` +
+      '<div class="finding-details">' +
+      `<div class="score-row"><div class="score-bar"><span style="width: ${fill}%"></span></div>` +
+      `<span class="score-label">${finding.score} / ${finding.threshold}</span></div>` +
+      advisories +
+      ids +
+      `<strong>Why detected:</strong><ul class="signal-list">${signals}</ul>` +
+      '</div></details>';
+  }
+
+  // Render a list of checks (security or metadata) with their status and evidence
+  function renderChecks(heading, checks) {
+    const counts = ['fail', 'warn', 'pass'].map(status => {
+      const count = checks.filter(item => item.status === status).length;
+      return count > 0 ? `<span class="security-status ${status}">${count} ${status}</span>` : '';
+    }).join(' ');
+    
+    const items = checks.map(item => {
+      const evidence = item.evidence.length > 0
+        ? '<ul class="signal-list">' + item.evidence.map(line => `<li><code class="evidence-sample">${escapeHTML(line)}</code></li>`).join('') + '</ul>'
+        : '';
+      return `<details class="security-item ${escapeHTML(item.status)}">` +
+        `<summary><span class="security-status ${escapeHTML(item.status)}">${escapeHTML(item.status)}</span> ` +
+        `<strong>${escapeHTML(item.title)}</strong>: ${escapeHTML(item.summary)}</summary>` +
+        evidence +
+        '</details>';
+    }).join('');
+    
+    return `<strong>${heading}:</strong> ${counts}<div class="security-list">${items}</div>`;
+  }
+
+  // Render a link preview like the ones social sites build from Open Graph and Twitter Card tags
+  function renderSocialCard(metadata, url) {
+    const { openGraph, twitter } = metadata;
+    const title = openGraph['og:title'] || twitter['twitter:title'] || metadata.title;
+    const description = openGraph['og:description'] || twitter['twitter:description'] || metadata.description;
+    const image = openGraph['og:image'] || twitter['twitter:image'];
+    let site = openGraph['og:site_name'];
+    if (!site) {
+      try {
+        site = new URL(openGraph['og:url'] || metadata.canonical || url).hostname;
+      } catch (e) {
+        site = '';
+      }
+    }
+
+    // Only absolute http(s) images are shown, fetched without a referrer
+    const imageMarkup = image && /^https?:\/\//i.test(image)
+      ? `<img class="social-card-image" src="${escapeHTML(image)}" alt="" referrerpolicy="no-referrer" />`
+      : '<div class="social-card-image missing">No preview image</div>';
+
+    return '<div class="social-card">' + imageMarkup +
+      '<div class="social-card-text">' +
+      `<span class="social-card-site">${escapeHTML(site)}</span>` +
+      `<span class="social-card-title">${escapeHTML(title || 'No title')}</span>` +
+      (description ? `<span class="social-card-description">${escapeHTML(description)}</span>` : '') +
+      '</div></div>';
+  }
+
+  // Render the metadata checks below a preview of the page's social card
+  function renderMetadata(metadata, url) {
+    if (!metadata) {
+      return '<div class="result-group"><strong>Metadata:</strong><br><span class="result-item">No results</span></div>';
+    }
+    return '<div class="result-group">' +
+      renderChecks('Metadata', metadata.checks) +
+      `<strong>Social preview:</strong>${renderSocialCard(metadata, url)}` +
+      '</div>';
+  }
+
+  // Explain which linked files couldn't be read for content signals, offering host access when
+  // that is why
+  function renderInspection(summary) {
+    const reasons = new Map();
+    summary.uninspected.forEach(item => reasons.set(item.reason, (reasons.get(item.reason) || 0) + 1));
+    const reasonList = [...reasons].map(([reason, count]) => `<li>${escapeHTML(reason)}: ${count}</li>`).join('');
+    const files = summary.uninspected.map(item =>
+      `<li><code class="evidence-sample">${escapeHTML(item.url)}</code> ${escapeHTML(item.reason)}</li>`).join('');
+    const hosts = summary.missingOrigins.length;
+    const grant = hosts > 0
+      ? `<button type="button" class="icon-button grant-hosts">Allow access to ${hosts} host${hosts === 1 ? '' : 's'} and analyze again</button>`
+      : '';
+    
+    return '<div class="result-group inspection-notice">' +
+      `<strong>Files not inspected:</strong> ${summary.uninspected.length} of ${summary.total} linked files could not be read, ` +
+      'so their content and source map signals were not scored.' +
+      `<ul class="signal-list">${reasonList}</ul>` +
+      `<details><summary>Files</summary><ul class="signal-list">${files}</ul></details>` +
+      grant +
+      '</div>';
+  }
+
+  // Ask for access to the hosts of unread files, then analyze again. Must run while the click is
+  // still being handled.
+  function requestFileAccess() {
+    chrome.permissions.request({ origins: missingOrigins })
+      .then(granted => {
+        if (granted) {
+          document.getElementById('analyze-form').requestSubmit();
+        } else {
+          showToast('Host access was not granted', 3000);
+        }
+      })
+      .catch(error => {
+        console.error('Could not request host access:', error);
+        showToast('Could not request host access', 3000);
+      });
+  }
+
+  // Render one inventory entry: filename only, or URL plus party, attributes and sizes
+  function renderFileEntry(file) {
+    const label = file.url || file.filename;
+    if (fileView === 'short') {
+      const party = file.party === 'third' ? ' <span class="party-tag">3rd party</span>' : '';
+      return `<li class="result-item" title="${escapeHTML(label)}">${escapeHTML(file.filename)}${party}</li>`;
+    }
+    
+    const details = [
+      file.party ? `${file.party} party` : null,
+      file.url && file.host ? file.host : null,
+      file.source === 'resource-timing' ? 'loaded without an element' : null,
+      describeScriptAttributes(file.attributes) || null,
+      file.inline && file.size !== null ? formatBytes(file.size) : null,
+      file.transferSize ? `${formatBytes(file.transferSize)} transferred` : null,
+      file.decodedSize ? `${formatBytes(file.decodedSize)} decoded` : null
+    ].filter(Boolean);
+    
+    return `<li class="result-item file-entry"><span class="file-url">${escapeHTML(label)}</span>` +
+      (details.length > 0 ? `<span class="file-details">${escapeHTML(details.join(' · '))}</span>` : '') +
+      '</li>';
+  }
+
+  // Render the JavaScript and CSS file lists with the short/full view toggle
+  function renderFileSections(files) {
+    const nextView = fileView === 'short' ? 'full' : 'short';
+    let output = `<button type="button" class="icon-button file-view-toggle" data-view="${nextView}">` +
+      `${nextView === 'full' ? 'Show full details' : 'Show filenames only'}</button>`;
+    
+    [['JavaScript files', files.js], ['CSS files', files.css]].forEach(([title, items]) => {
+      if (!items) return;
+      output += `<div class="result-group"><strong>${title} (${items.length}):</strong><br>`;
+      output += items.length === 0
+        ? '<span class="result-item">No results</span>'
+        : '<ul>' + items.map(renderFileEntry).join('') + '</ul>';
+      output += '</div>';
+    });
+    
+    return output;
+  }
+
+  // Switch the file lists between short and full view, or grant access to unread files' hosts
+  function handleReportClick(e) {
+    if (e.target.closest('.grant-hosts')) {
+      requestFileAccess();
+      return;
+    }
+    
+    const toggle = e.target.closest('.file-view-toggle');
+    if (!toggle || !currentFiles) {
+      return;
+    }
+    
+    fileView = toggle.dataset.view;
+    e.currentTarget.querySelector('.file-sections').innerHTML = renderFileSections(currentFiles);
+  }
+
   // Format findings and update the UI with results
-  function displayResults(findings, options, reportEl) {
+  function displayResults(findings, options, url, reportEl) {
     let output = '';
     let hasResults = false;
     
-    // Update clipboard button state based on new results
-    updateClipboardButton();
-    
-    // Helper function to create consistently formatted result sections
-    function addResultSection(title, items, isListFormat = false) {
+    // Helper function to create consistently formatted result sections, with an optional note
+    // on input that was missing
+    function addResultSection(title, items, note = null) {
       hasResults = true;
       output += `<div class="result-group"><strong>${title}:</strong><br>`;
+      if (note) {
+        output += `<span class="result-item section-note">${escapeHTML(note)}</span>`;
+      }
       
-      // Handle empty or "None found" results
+      // Handle empty results; a note already says why there may be none
       if (!items || items.length === 0) {
-        output += '<span class="result-item">No results</span>';
-      } else if (items.length === 1 && (items[0] === 'None found' || items[0] === 'None detected')) {
-        output += '<span class="result-item">No results</span>';
-      } else if (isListFormat) {
-        // Format file lists as bulleted lists
-        output += '<ul>' + items.map(item => `<li class="result-item">${item}</li>`).join('') + '</ul>';
+        output += note ? '' : '<span class="result-item">No results</span>';
       } else {
-        // Format frameworks as pill badges
+        // Format frameworks as expandable pill badges
         output += '<div class="framework-results">';
-        output += items.map(item => `<div class="framework-item">${item}</div>`).join('');
+        output += items.map(renderFinding).join('');
         output += '</div>';
       }
       
@@ -995,6 +834,10 @@ import { findJavaScriptFiles, findCSSFiles } from './file-analyzer.js';
     }
     
     // Add sections based on selected options
+    if (options.platforms) {
+      addResultSection('Platform', findings.platforms);
+    }
+    
     if (options.jsFrameworks) {
       addResultSection('JS Frameworks', findings.jsFrameworks);
     }
@@ -1003,12 +846,58 @@ import { findJavaScriptFiles, findCSSFiles } from './file-analyzer.js';
       addResultSection('CSS Frameworks', findings.cssFrameworks);
     }
     
-    if (options.listJS) {
-      addResultSection('JavaScript files', findings.jsFiles, true);
+    if (options.styling) {
+      addResultSection('Styling toolchain', findings.styling);
+    }
+    
+    if (options.buildTools) {
+      addResultSection('Build tools', findings.buildTools);
     }
     
-    if (options.listCSS) {
-      addResultSection('CSS files', findings.cssFiles, true);
+    if (options.services) {
+      addResultSection('Third-party services', findings.services);
+    }
+    
+    if (options.infrastructure) {
+      addResultSection('Hosting & Infrastructure', findings.infrastructure,
+        findings.headersUnavailable ? `Response headers unavailable: ${findings.headersUnavailable}` : null);
+    }
+    
+    // Linked files whose content couldn't be read, so detections missing because of them are explained
+    const inspection = findings.contentInspection;
+    missingOrigins = inspection ? inspection.missingOrigins : [];
+    if (inspection && inspection.uninspected.length > 0) {
+      output += renderInspection(inspection);
+    }
+    
+    if (options.security) {
+      hasResults = true;
+      output += `<div class="result-group">${renderChecks('Security', findings.security || [])}</div>`;
+    }
+    
+    if (options.metadata) {
+      hasResults = true;
+      output += renderMetadata(findings.metadata, url);
+    }
+    
+    // Frameworks with some evidence that fell short of their threshold, to judge false negatives
+    if (findings.nearMisses && findings.nearMisses.length > 0) {
+      output += '<details class="result-group near-misses">' +
+        `<summary><strong>Near misses (${findings.nearMisses.length})</strong></summary>` +
+        '<div class="framework-results">' + findings.nearMisses.map(renderFinding).join('') + '</div>' +
+        '</details>';
+    }
+    
+    // File inventory, re-rendered on its own when the short/full toggle is used
+    if (options.listJS || options.listCSS) {
+      hasResults = true;
+      currentFiles = {
+        js: options.listJS ? normalizeFiles(findings.jsFiles) : null,
+        css: options.listCSS ? normalizeFiles(findings.cssFiles) : null
+      };
+      output += `<div class="file-sections">${renderFileSections(currentFiles)}</div>`;
+    } else {
+      currentFiles = null;
     }
     
     // Update the UI with formatted results or a fallback message
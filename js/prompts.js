@@ -0,0 +1,315 @@
+/**
+ * Tech Analyzer Chrome Extension - AI Prompt Builder
+ * Fills scenario templates (stack overview, migration plan, reviews, hiring brief) with the
+ * findings of an analysis, shortening long file lists to fit a size limit
+ */
+
+import { describeIds } from './export.js';
+
+/**
+ * chrome.storage.local key holding edited templates and the last scenario and size limit used
+ */
+export const PROMPT_SETTINGS_KEY = 'promptBuilder';
+
+/**
+ * Size limits offered by the builder, in characters (0 = no limit)
+ */
+export const PROMPT_SIZE_LIMITS = [4000, 8000, 16000, 32000, 0];
+
+/**
+ * Placeholders a template can use, with what they are replaced by
+ */
+export const PROMPT_PLACEHOLDERS = {
+  url: 'Address of the analyzed page',
+  analyzedAt: 'When the analysis ran',
+  technologies: 'Detected technologies with category and version',
+  evidence: 'The signals behind each detection',
+  vulnerabilities: 'Known vulnerabilities of detected versions',
+  security: 'Security checks that warned or failed',
+  thirdPartyFiles: 'Scripts and stylesheets from other hosts, grouped by host',
+  firstPartyFiles: 'Scripts and stylesheets from the page\'s own host'
+};
+
+/**
+ * Built-in scenarios, in menu order
+ */
+export const PROMPT_SCENARIOS = [
+  {
+    id: 'stack-overview',
+    label: 'Stack overview',
+    template: `I analyzed {{url}} with a technology detector. Explain the technology stack it uses.
+
+Detected technologies:
+{{technologies}}
+
+Evidence:
+{{evidence}}
+
+Third-party files:
+{{thirdPartyFiles}}
+
+First-party files:
+{{firstPartyFiles}}
+
+Describe what each technology does on this site, how they likely fit together (rendering, styling, data, hosting), and anything notable or unusual about the combination. Flag detections that look doubtful given the evidence.`
+  },
+  {
+    id: 'migration-plan',
+    label: 'Migration plan',
+    template: `The site {{url}} runs on this stack:
+{{technologies}}
+
+Known vulnerabilities in the detected versions:
+{{vulnerabilities}}
+
+Third-party files:
+{{thirdPartyFiles}}
+
+Draft a migration plan to bring this stack up to date. For each outdated or end-of-life technology, name the target version or replacement, the main breaking changes to expect, and a suggested order of work. Point out dependencies between the steps and quick wins that can ship first.`
+  },
+  {
+    id: 'security-review',
+    label: 'Security review',
+    template: `Review the security posture of {{url}}.
+
+Detected technologies:
+{{technologies}}
+
+Known vulnerabilities in the detected versions:
+{{vulnerabilities}}
+
+Security checks that warned or failed:
+{{security}}
+
+Third-party files:
+{{thirdPartyFiles}}
+
+Rank the risks by severity, explain how each could be exploited on a site like this, and give a concrete fix for each. Mention third-party scripts that widen the attack surface.`
+  },
+  {
+    id: 'performance-review',
+    label: 'Performance review',
+    template: `Review the front-end performance of {{url}}.
+
+Detected technologies:
+{{technologies}}
+
+Third-party files:
+{{thirdPartyFiles}}
+
+First-party files:
+{{firstPartyFiles}}
+
+Identify likely performance costs of this stack: heavy frameworks, render-blocking or duplicated libraries, third-party scripts and their loading attributes. Suggest specific improvements, ordered by expected impact on load time and interactivity.`
+  },
+  {
+    id: 'hiring-brief',
+    label: 'Hiring & skills brief',
+    template: `A team maintains the site {{url}}, which uses:
+{{technologies}}
+
+Write a short skills brief for hiring developers to work on this site: the must-have skills, nice-to-have skills, the experience level each technology calls for, and interview topics that would show real familiarity with this stack.`
+  }
+];
+
+/**
+ * How far file lists are shortened, tried in order until the prompt fits: URLs shown per host
+ * (Infinity lists every file, 0 only counts them)
+ */
+const FILES_PER_HOST_STEPS = [Infinity, 10, 5, 3, 1, 0];
+
+/**
+ * Human-readable category names for prompts
+ */
+const CATEGORY_LABELS = {
+  platforms: 'platform',
+  js: 'JS framework',
+  css: 'CSS framework',
+  styling: 'styling toolchain',
+  build: 'build tool',
+  services: 'third-party service',
+  infrastructure: 'hosting/infrastructure'
+};
+
+/**
+ * Load the builder settings: edited templates (by scenario id), scenario and size limit
+ * @returns {Promise<Object>} { templates, scenario, maxChars }
+ */
+export async function loadPromptSettings() {
+  const { [PROMPT_SETTINGS_KEY]: stored } = await chrome.storage.local.get(PROMPT_SETTINGS_KEY);
+  return { templates: {}, scenario: PROMPT_SCENARIOS[0].id, maxChars: PROMPT_SIZE_LIMITS[1], ...stored };
+}
+
+/**
+ * Save the builder settings
+ * @param {Object} settings - { templates, scenario, maxChars }
+ */
+export async function savePromptSettings(settings) {
+  await chrome.storage.local.set({ [PROMPT_SETTINGS_KEY]: settings });
+}
+
+/**
+ * The template a scenario uses: the user's edited version if there is one, otherwise the built-in one
+ * @param {Object} settings - Builder settings
+ * @param {string} scenarioId - Scenario id
+ * @returns {string} Template text
+ */
+export function getTemplate(settings, scenarioId) {
+  const scenario = PROMPT_SCENARIOS.find(item => item.id === scenarioId) || PROMPT_SCENARIOS[0];
+  return settings.templates[scenario.id] || scenario.template;
+}
+
+/**
+ * Group non-inline files by host, third-party and first-party apart
+ * @param {Object[]} files - Inventory entries from a report
+ * @returns {Object} { thirdParty, firstParty }, each a Map of host to URLs
+ */
+function groupFiles(files) {
+  const groups = { thirdParty: new Map(), firstParty: new Map() };
+  files.filter(file => !file.inline).forEach(file => {
+    const group = file.party === 'third' ? groups.thirdParty : groups.firstParty;
+    const host = file.host || 'unknown host';
+    if (!group.has(host)) group.set(host, []);
+    group.get(host).push(file.url || file.filename);
+  });
+  return groups;
+}
+
+/**
+ * List grouped files, showing at most `perHost` URLs per host
+ * @param {Map} group - Host to URLs
+ * @param {number} perHost - URLs to show per host
+ * @returns {string} One line per file or host
+ */
+function formatFileGroup(group, perHost) {
+  if (group.size === 0) {
+    return '- None';
+  }
+  return [...group.entries()].map(([host, urls]) => {
+    if (perHost === 0) {
+      return `- ${host}: ${urls.length} file${urls.length === 1 ? '' : 's'}`;
+    }
+    const shown = urls.slice(0, perHost).map(url => `- ${url}`);
+    if (urls.length > perHost) {
+      shown.push(`- ...and ${urls.length - perHost} more from ${host}`);
+    }
+    return shown.join('\n');
+  }).join('\n');
+}
+
+/**
+ * Describe the evidence behind each detection, in full or one signal per technology
+ * @param {Object[]} frameworks - Detected findings
+ * @param {boolean} brief - Only the strongest signal of each technology
+ * @returns {string} One line per technology
+ */
+function formatEvidence(frameworks, brief) {
+  if (frameworks.length === 0) {
+    return '- None';
+  }
+  return frameworks.map(finding => {
+    const signals = [...finding.signals].sort((a, b) => b.points - a.points).slice(0, brief ? 1 : undefined);
+    const details = signals.map(signal => {
+      const first = signal.evidence[0];
+      return `${signal.type}${first ? `: ${first.match}` : ''}`;
+    });
+    return `- ${finding.name} (score ${finding.score}/${finding.threshold}): ${details.join('; ')}`;
+  }).join('\n');
+}
+
+/**
+ * Describe the detected technologies with their category, version and extracted IDs
+ * @param {Object[]} frameworks - Detected findings
+ * @returns {string} One line per technology
+ */
+function formatTechnologies(frameworks) {
+  if (frameworks.length === 0) {
+    return '- None detected';
+  }
+  return frameworks.map(finding => {
+    const details = [CATEGORY_LABELS[finding.category] || finding.category];
+    const ids = describeIds([...(finding.ids || []), ...(finding.components || [])]);
+    if (ids) details.push(ids);
+    return `- ${finding.name}${finding.version ? ` ${finding.version}` : ''} (${details.join('; ')})`;
+  }).join('\n');
+}
+
+/**
+ * Describe the advisories matched to detected versions
+ * @param {Object[]} frameworks - Detected findings
+ * @returns {string} One line per advisory
+ */
+function formatVulnerabilities(frameworks) {
+  const lines = frameworks.flatMap(finding => (finding.advisories || []).map(advisory =>
+    `- ${finding.name} ${finding.version}: ${advisory.identifiers.join(', ')} (${advisory.severity}, affects ${advisory.range}): ${advisory.summary}`));
+  return lines.length > 0 ? lines.join('\n') : '- None found in the offline advisory database';
+}
+
+/**
+ * Describe the security checks that didn't pass
+ * @param {Object[]} checks - Security check results
+ * @returns {string} One line per check
+ */
+function formatSecurity(checks) {
+  if (checks.length === 0) {
+    return '- Security checks were not run';
+  }
+  const lines = checks.filter(check => check.status === 'fail' || check.status === 'warn')
+    .map(check => `- [${check.status}] ${check.title}: ${check.summary}`);
+  return lines.length > 0 ? lines.join('\n') : '- No warnings or failures';
+}
+
+/**
+ * Fill a template from a report, shortening file lists and then evidence until it fits
+ * @param {string} template - Template with {{placeholder}} markers
+ * @param {Object} report - Report from buildReport
+ * @param {number} maxChars - Size limit in characters (0 = no limit)
+ * @returns {Object} { text, trimmed: descriptions of what was shortened }
+ */
+export function buildPrompt(template, report, maxChars) {
+  const frameworks = report.frameworks;
+  const files = groupFiles([...report.files.js, ...report.files.css]);
+  const fixed = {
+    url: report.url,
+    analyzedAt: report.analyzedAt,
+    technologies: formatTechnologies(frameworks),
+    vulnerabilities: formatVulnerabilities(frameworks),
+    security: formatSecurity(report.security)
+  };
+
+  const render = (perHost, briefEvidence) => template.replace(/\{\{\s*(\w+)\s*\}\}/g, (marker, name) => {
+    switch (name) {
+      case 'evidence':
+        return formatEvidence(frameworks, briefEvidence);
+      case 'thirdPartyFiles':
+        return formatFileGroup(files.thirdParty, perHost);
+      case 'firstPartyFiles':
+        return formatFileGroup(files.firstParty, perHost);
+      default:
+        return Object.prototype.hasOwnProperty.call(fixed, name) ? fixed[name] : marker;
+    }
+  });
+
+  const fits = text => !maxChars || text.length <= maxChars;
+  for (const perHost of FILES_PER_HOST_STEPS) {
+    const text = render(perHost, false);
+    if (fits(text)) {
+      const trimmed = perHost === Infinity ? [] : [perHost === 0
+        ? 'File lists reduced to a count per host'
+        : `File lists shortened to ${perHost} per host`];
+      return { text, trimmed };
+    }
+  }
+
+  const trimmed = ['File lists reduced to a count per host', 'Evidence reduced to the strongest signal per technology'];
+  const text = render(0, true);
+  if (fits(text)) {
+    return { text, trimmed };
+  }
+
+  const notice = '\n[Prompt cut to fit the size limit]';
+  return {
+    text: text.slice(0, Math.max(0, maxChars - notice.length)) + notice,
+    trimmed: [...trimmed, `Cut to ${maxChars} characters`]
+  };
+}
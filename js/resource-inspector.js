@@ -0,0 +1,292 @@
+/**
+ * Tech Analyzer Chrome Extension - Resource Inspector
+ * Fetches the text of a page's scripts and stylesheets from the extension context, where
+ * cross-origin (CDN) files are readable, and matches it against the signature database's
+ * content signals and version banners. The `sources` paths of the files' source maps are read
+ * too, for signals that look for the original files (e.g. .scss sources behind a stylesheet).
+ */
+
+import { createDebugLogger } from './utils.js';
+
+/**
+ * Limits for content inspection. Each file is cut off at maxBytes and abandoned after timeoutMs;
+ * files beyond maxResources are not fetched at all, nor source maps beyond maxSourceMaps.
+ */
+export const CONTENT_FETCH_LIMITS = {
+  maxResources: 40,
+  maxSourceMaps: 20,
+  maxBytes: 1024 * 1024,
+  timeoutMs: 5000
+};
+
+/**
+ * Number of leading characters of each file kept as its banner (for version lookups)
+ */
+export const BANNER_LENGTH = 2000;
+
+// Characters of context kept on each side of a content match
+const SAMPLE_CONTEXT = 40;
+
+/**
+ * Fetch a resource as text, stopping at the byte limit
+ * @param {string} url - Resource URL
+ * @param {Object} limits - maxBytes and timeoutMs
+ * @returns {Promise<Object>} { text, truncated }
+ */
+async function fetchText(url, { maxBytes, timeoutMs }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  
+  try {
+    const response = await fetch(url, { credentials: 'omit', cache: 'force-cache', signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    
+    // Read the body incrementally so large bundles are cut off instead of downloaded whole
+    const reader = response.body.getReader();
+    const chunks = [];
+    let received = 0;
+    let truncated = false;
+    
+    while (received < maxBytes) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value.subarray(0, maxBytes - received));
+      received += value.length;
+    }
+    if (received >= maxBytes) {
+      truncated = true;
+      reader.cancel().catch(() => {});
+    }
+    
+    const bytes = new Uint8Array(Math.min(received, maxBytes));
+    let offset = 0;
+    chunks.forEach(chunk => {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    });
+    
+    return { text: new TextDecoder().decode(bytes), truncated };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Find the source map a file points to with its last sourceMappingURL comment
+ * @param {string} text - File text
+ * @param {string} url - File URL, which relative map URLs are resolved against
+ * @returns {string|null} Absolute map URL (possibly a data: URL), or null when there is none
+ */
+function findSourceMapUrl(text, url) {
+  const references = Array.from(text.slice(-2000).matchAll(/[#@]\s*sourceMappingURL=([^\s'"*]+)/g));
+  if (references.length === 0) return null;
+  try {
+    return new URL(references[references.length - 1][1], url).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Read the `sources` array of a source map. Only that array is parsed, so maps cut off at the
+ * byte limit still work when it comes before the cut.
+ * @param {string} text - Source map JSON
+ * @returns {string[]} Source paths
+ */
+function readSourceMapSources(text) {
+  const key = text.search(/"sources"\s*:\s*\[/);
+  if (key === -1) return [];
+  
+  // Find the closing bracket outside of strings (paths such as pages/[slug].js contain brackets)
+  const start = text.indexOf('[', key);
+  let inString = false;
+  for (let i = start + 1; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === ']') {
+      try {
+        return JSON.parse(text.slice(start, i + 1)).filter(source => typeof source === 'string');
+      } catch (e) {
+        return [];
+      }
+    }
+  }
+  return [];
+}
+
+/**
+ * Load a file's source map and list its sources
+ * @param {string} mapUrl - Map URL from findSourceMapUrl
+ * @param {Object} settings - Fetch limits
+ * @param {Function} readText - Reads a resource as { text, truncated }
+ * @returns {Promise<string[]>} Source paths
+ */
+async function loadSourceMapSources(mapUrl, settings, readText) {
+  if (mapUrl.startsWith('data:')) {
+    const [meta, data] = mapUrl.split(',', 2);
+    const json = /;base64$/i.test(meta) ? new TextDecoder().decode(Uint8Array.from(atob(data), char => char.charCodeAt(0))) : decodeURIComponent(data);
+    return readSourceMapSources(json);
+  }
+  const { text } = await readText(mapUrl, settings);
+  return readSourceMapSources(text);
+}
+
+/**
+ * Collect every content pattern used by the signature database
+ * @param {Object} signatures - Parsed signature database
+ * @returns {string[]} Unique regex sources
+ */
+function getContentPatterns(signatures) {
+  const patterns = new Set();
+  Object.values(signatures.categories).forEach(frameworks => {
+    frameworks.forEach(framework => {
+      framework.signals
+        .filter(signal => signal.type === 'content' && signal.patterns)
+        .forEach(signal => signal.patterns.forEach(pattern => patterns.add(pattern)));
+    });
+  });
+  return Array.from(patterns);
+}
+
+/**
+ * Fetch linked scripts and stylesheets and scan their text for content signals
+ * @param {Object} signatures - Parsed signature database
+ * @param {Object} linked - { scripts: string[], stylesheets: string[] } resource URLs
+ * @param {boolean} debugMode - Whether to enable debug logging
+ * @param {Object} limits - Overrides for CONTENT_FETCH_LIMITS
+ * @param {Function} readText - Reads a resource as { text, truncated } given its URL and the limits;
+ *   defaults to fetching it (the CLI reads snapshot files from disk instead)
+ * @returns {Promise<Object>} Inspection result passed to detectFrameworks:
+ *   banners - [{ source, text }] leading text of every fetched file
+ *   contentMatches - map of pattern to [{ url, kind, sample }]; kind is 'script', 'stylesheet' or
+ *     'sourcemap' (a source path of the file's map, given as the sample)
+ *   resources - [{ url, kind, bytes, truncated, error, skipped, sourceMap }] what was fetched and how
+ *     it went; files beyond maxResources are listed as skipped and not fetched
+ */
+export async function inspectResources(signatures, linked, debugMode = false, limits = {}, readText = fetchText) {
+  const debugLog = createDebugLogger(debugMode);
+  const settings = { ...CONTENT_FETCH_LIMITS, ...limits };
+  
+  // Unique http(s) and file URLs, scripts first, capped at maxResources
+  const seen = new Set();
+  const queue = [
+    ...linked.scripts.map(url => ({ url, kind: 'script' })),
+    ...linked.stylesheets.map(url => ({ url, kind: 'stylesheet' }))
+  ].filter(({ url }) => {
+    if (seen.has(url) || !/^(https?|file):/.test(url)) return false;
+    seen.add(url);
+    return true;
+  });
+  
+  const patterns = getContentPatterns(signatures).map(source => ({ source, regex: new RegExp(source) }));
+  const inspected = {
+    banners: [],
+    contentMatches: {},
+    resources: []
+  };
+  
+  if (queue.length > settings.maxResources) {
+    debugLog(`Inspecting ${settings.maxResources} of ${queue.length} resources`);
+    queue.slice(settings.maxResources).forEach(({ url, kind }) => {
+      inspected.resources.push({
+        url, kind, bytes: 0, truncated: false, error: `Not fetched (over the ${settings.maxResources}-file limit)`, skipped: true, sourceMap: null
+      });
+    });
+  }
+  
+  const addMatch = (source, match) => {
+    inspected.contentMatches[source] = inspected.contentMatches[source] || [];
+    inspected.contentMatches[source].push(match);
+  };
+  let sourceMapsLeft = settings.maxSourceMaps;
+  
+  await Promise.all(queue.slice(0, settings.maxResources).map(async ({ url, kind }) => {
+    const resource = { url, kind, bytes: 0, truncated: false, error: null, skipped: false, sourceMap: null };
+    inspected.resources.push(resource);
+    
+    let text;
+    try {
+      ({ text, truncated: resource.truncated } = await readText(url, settings));
+      resource.bytes = text.length;
+    } catch (error) {
+      // CORS refusals, timeouts and HTTP errors only cost this file's signals
+      resource.error = error.name === 'AbortError' ? 'Timed out' : error.message;
+      debugLog(`Could not fetch ${url}`, resource.error);
+      return;
+    }
+    
+    inspected.banners.push({ source: url, text: text.slice(0, BANNER_LENGTH) });
+    
+    patterns.forEach(({ source, regex }) => {
+      const match = regex.exec(text);
+      if (!match) return;
+      
+      const start = Math.max(0, match.index - SAMPLE_CONTEXT);
+      const end = Math.min(text.length, match.index + match[0].length + SAMPLE_CONTEXT);
+      const sample = `...${text.slice(start, end).replace(/\s+/g, ' ')}...`;
+      addMatch(source, { url, kind, sample });
+    });
+    
+    // Match the original file paths listed in the file's source map, if it has one
+    const mapUrl = findSourceMapUrl(text, url);
+    if (!mapUrl || sourceMapsLeft === 0) return;
+    sourceMapsLeft--;
+    resource.sourceMap = mapUrl.startsWith('data:') ? 'inline' : mapUrl;
+    
+    let sources;
+    try {
+      sources = await loadSourceMapSources(mapUrl, settings, readText);
+    } catch (error) {
+      // Maps are often not deployed; the file's other signals still count
+      debugLog(`Could not read source map ${resource.sourceMap}`, error.message);
+      return;
+    }
+    patterns.forEach(({ source, regex }) => {
+      const path = sources.find(item => regex.test(item));
+      if (path) {
+        addMatch(source, { url: resource.sourceMap === 'inline' ? `${url} (inline source map)` : mapUrl, kind: 'sourcemap', sample: path });
+      }
+    });
+  }));
+  
+  debugLog('Content inspection summary', inspected.resources);
+  return inspected;
+}
+
+/**
+ * Host permission patterns covering a set of resource URLs (http and https only)
+ * @param {string[]} urls - Resource URLs
+ * @returns {string[]} Match patterns, e.g. "https://cdn.example.com/*"
+ */
+export function getResourceOrigins(urls) {
+  return [...new Set(urls.filter(url => /^https?:/.test(url)).map(url => `${new URL(url).origin}/*`))];
+}
+
+/**
+ * Summarize which linked files could not be inspected and why, so a missing content or source
+ * map detection can be explained
+ * @param {Object} inspected - Result of inspectResources
+ * @param {string[]} deniedOrigins - Origin patterns the extension has no host access to; fetches
+ *   from them are bound by CORS, so their failures are reported as missing access
+ * @returns {Object} { total, uninspected: [{ url, kind, reason }], missingOrigins } where
+ *   missingOrigins are the denied origins that host access would open up
+ */
+export function summarizeInspection(inspected, deniedOrigins = []) {
+  const missingOrigins = new Set();
+  const uninspected = inspected.resources.filter(resource => resource.error).map(resource => {
+    const [origin] = getResourceOrigins([resource.url]);
+    if (origin && deniedOrigins.includes(origin) && !resource.skipped) {
+      missingOrigins.add(origin);
+      return { url: resource.url, kind: resource.kind, reason: 'No host access (blocked by CORS)' };
+    }
+    return { url: resource.url, kind: resource.kind, reason: resource.error };
+  });
+  
+  return { total: inspected.resources.length, uninspected, missingOrigins: Array.from(missingOrigins) };
+}
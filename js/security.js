@@ -0,0 +1,353 @@
+/**
+ * Tech Analyzer Chrome Extension - Security Posture
+ * Checks the analyzed page's security headers, script integrity, mixed content, form targets
+ * and script-visible cookies, giving each check a pass/warn/fail status with evidence
+ *
+ * collectSecurityData is injected into the analyzed page through chrome.scripting.executeScript
+ * and must stay self-contained. The other functions run in the extension.
+ */
+
+/**
+ * HSTS max-age below this (180 days) is reported as a warning
+ */
+export const HSTS_MIN_MAX_AGE = 15552000;
+
+/**
+ * Collect the page-side inputs for the security checks
+ * @returns {Object} Page protocol, CSP meta tags, scripts, insecure subresources, forms and the
+ *   names of the cookies page scripts can read
+ */
+export function collectSecurityData() {
+  const siteHost = location.hostname.replace(/^www\./, '');
+  const isThirdParty = url => {
+    const host = url.hostname.replace(/^www\./, '');
+    return !(host === siteHost || host.endsWith(`.${siteHost}`) || siteHost.endsWith(`.${host}`));
+  };
+  const resolve = value => {
+    try {
+      return new URL(value, location.href);
+    } catch (e) {
+      return null;
+    }
+  };
+  
+  // Subresources by tag, with whether a browser treats them as active (blocked) mixed content
+  const subresources = [
+    ['script[src]', 'src', true],
+    ['link[rel~="stylesheet"][href]', 'href', true],
+    ['iframe[src]', 'src', true],
+    ['img[src]', 'src', false],
+    ['audio[src], video[src], source[src]', 'src', false]
+  ];
+  
+  const mixedContent = [];
+  subresources.forEach(([selector, attribute, active]) => {
+    document.querySelectorAll(selector).forEach(element => {
+      const url = resolve(element.getAttribute(attribute));
+      if (url && url.protocol === 'http:') {
+        mixedContent.push({ tag: element.tagName.toLowerCase(), url: url.href, active });
+      }
+    });
+  });
+  
+  return {
+    protocol: location.protocol,
+    cspMeta: Array.from(document.querySelectorAll('meta[http-equiv="Content-Security-Policy" i][content]'))
+      .map(meta => meta.getAttribute('content')),
+    thirdPartyScripts: Array.from(document.querySelectorAll('script[src]'))
+      .map(script => ({ url: resolve(script.getAttribute('src')), integrity: script.getAttribute('integrity') }))
+      .filter(script => script.url && /^https?:$/.test(script.url.protocol) && isThirdParty(script.url))
+      .map(script => ({ url: script.url.href, integrity: script.integrity })),
+    mixedContent,
+    insecureForms: Array.from(document.forms)
+      .map(form => ({ action: resolve(form.getAttribute('action') || location.href), method: (form.getAttribute('method') || 'get').toLowerCase() }))
+      .filter(form => form.action && form.action.protocol === 'http:')
+      .map(form => ({ action: form.action.href, method: form.method })),
+    cookieNames: document.cookie ? document.cookie.split(';').map(part => part.split('=')[0].trim()) : []
+  };
+}
+
+/**
+ * Read the cookies for a URL that page scripts can see (not HttpOnly). Without host access to the
+ * URL the cookies API returns an empty list rather than failing, so access is checked first.
+ * @param {string} url - Page URL
+ * @returns {Promise<Object>} { cookies, reason }: the cookies, or null with the reason they could
+ *   not be read
+ */
+export async function getScriptCookies(url) {
+  if (!/^https?:/.test(url || '')) {
+    return { cookies: null, reason: 'Not a web page' };
+  }
+  try {
+    if (!(await chrome.permissions.contains({ origins: [`${new URL(url).origin}/*`] }))) {
+      return { cookies: null, reason: 'Not checked: the extension needs access to this host to read cookie attributes' };
+    }
+    const cookies = await chrome.cookies.getAll({ url });
+    return { cookies: cookies.filter(cookie => !cookie.httpOnly), reason: null };
+  } catch (e) {
+    return { cookies: null, reason: 'Cookie attributes could not be read' };
+  }
+}
+
+/**
+ * Parse a Content-Security-Policy value into a directive map
+ * @param {string} policy - Policy text (several policies may be joined with ", ")
+ * @returns {Object} Map of directive name to source list
+ */
+function parseCSP(policy) {
+  const directives = {};
+  policy.split(/[;,]/).forEach(part => {
+    const [name, ...sources] = part.trim().split(/\s+/);
+    if (name && !directives[name.toLowerCase()]) {
+      directives[name.toLowerCase()] = sources;
+    }
+  });
+  return directives;
+}
+
+/**
+ * Build a check result
+ * @param {string} id - Stable check id
+ * @param {string} title - Check name
+ * @param {string} status - 'pass', 'warn', 'fail' or 'info' (could not be checked)
+ * @param {string} summary - One-line result
+ * @param {string[]} evidence - Raw headers, URLs or cookie names behind the result
+ * @returns {Object} Check result
+ */
+function check(id, title, status, summary, evidence = []) {
+  return { id, title, status, summary, evidence };
+}
+
+/**
+ * Check the Content-Security-Policy for presence and weak script sources
+ */
+function checkCSP(headers, pageData) {
+  const title = 'Content-Security-Policy';
+  const policies = [...(headers && headers['content-security-policy'] ? [headers['content-security-policy']] : []), ...pageData.cspMeta];
+  
+  if (policies.length === 0) {
+    if (headers && headers['content-security-policy-report-only']) {
+      return check('csp', title, 'warn', 'Only a report-only policy is set; nothing is enforced',
+        [`content-security-policy-report-only: ${headers['content-security-policy-report-only']}`]);
+    }
+    return check('csp', title, headers ? 'fail' : 'info', headers ? 'No policy is set' : 'Response headers unavailable and no <meta> policy found');
+  }
+  
+  const evidence = policies.map(policy => `content-security-policy: ${policy}`);
+  const directives = parseCSP(policies.join('; '));
+  const scriptSources = directives['script-src'] || directives['default-src'];
+  if (!scriptSources) {
+    return check('csp', title, 'warn', 'Policy has no script-src or default-src, so scripts are unrestricted', evidence);
+  }
+  
+  // 'unsafe-inline' is ignored by browsers when a nonce or hash is present
+  const hasNonceOrHash = scriptSources.some(source => /^'(nonce|sha256|sha384|sha512)-/.test(source));
+  const issues = [];
+  if (scriptSources.includes("'unsafe-inline'") && !hasNonceOrHash) issues.push("'unsafe-inline'");
+  if (scriptSources.includes("'unsafe-eval'")) issues.push("'unsafe-eval'");
+  scriptSources
+    .filter(source => source === '*' || /^(https?|data|blob):$/.test(source))
+    .forEach(source => issues.push(`wildcard source ${source}`));
+  
+  return issues.length > 0
+    ? check('csp', title, 'warn', `Scripts allow ${issues.join(', ')}`, evidence)
+    : check('csp', title, 'pass', 'Policy restricts script sources', evidence);
+}
+
+/**
+ * Why a transport check does not apply to a page that was not loaded over HTTP(S), e.g. a snapshot
+ * @param {string} protocol - Page protocol, e.g. 'file:'
+ * @returns {string} Reason shown for the check
+ */
+function describeNonWebProtocol(protocol) {
+  return `Not checked: the page was loaded from a ${protocol.replace(/:$/, '')}: URL, not over the network`;
+}
+
+/**
+ * Check Strict-Transport-Security
+ */
+function checkHSTS(headers, pageData) {
+  const title = 'Strict-Transport-Security';
+  if (pageData.protocol === 'http:') {
+    return check('hsts', title, 'fail', 'Page is served over HTTP');
+  }
+  if (pageData.protocol !== 'https:') {
+    return check('hsts', title, 'info', describeNonWebProtocol(pageData.protocol));
+  }
+  if (!headers) {
+    return check('hsts', title, 'info', 'Response headers unavailable');
+  }
+  
+  const value = headers['strict-transport-security'];
+  if (!value) {
+    return check('hsts', title, 'fail', 'Header is missing');
+  }
+  
+  const maxAge = Number((value.match(/max-age\s*=\s*"?(\d+)/i) || [])[1] || 0);
+  return maxAge < HSTS_MIN_MAX_AGE
+    ? check('hsts', title, 'warn', `max-age is ${maxAge} seconds (under 180 days)`, [`strict-transport-security: ${value}`])
+    : check('hsts', title, 'pass', 'HTTPS is enforced', [`strict-transport-security: ${value}`]);
+}
+
+/**
+ * Check clickjacking protection (X-Frame-Options or CSP frame-ancestors)
+ */
+function checkFraming(headers) {
+  const title = 'X-Frame-Options / frame-ancestors';
+  if (!headers) {
+    return check('framing', title, 'info', 'Response headers unavailable');
+  }
+  
+  const evidence = [];
+  const frameOptions = headers['x-frame-options'];
+  const csp = headers['content-security-policy'];
+  const frameAncestors = csp ? parseCSP(csp)['frame-ancestors'] : null;
+  
+  if (frameOptions) evidence.push(`x-frame-options: ${frameOptions}`);
+  if (frameAncestors) evidence.push(`frame-ancestors ${frameAncestors.join(' ')}`);
+  
+  if (frameAncestors) {
+    return frameAncestors.includes('*')
+      ? check('framing', title, 'warn', 'frame-ancestors allows any site to frame the page', evidence)
+      : check('framing', title, 'pass', 'Framing is restricted by frame-ancestors', evidence);
+  }
+  if (frameOptions && /^(deny|sameorigin)$/i.test(frameOptions.trim())) {
+    return check('framing', title, 'pass', 'Framing is restricted by X-Frame-Options', evidence);
+  }
+  return check('framing', title, 'warn', frameOptions ? 'X-Frame-Options value is not DENY or SAMEORIGIN' : 'Any site can frame the page', evidence);
+}
+
+/**
+ * Check Referrer-Policy
+ */
+function checkReferrerPolicy(headers) {
+  const title = 'Referrer-Policy';
+  if (!headers) {
+    return check('referrer-policy', title, 'info', 'Response headers unavailable');
+  }
+  
+  const value = headers['referrer-policy'];
+  if (!value) {
+    return check('referrer-policy', title, 'warn', "Header is missing (browsers default to 'strict-origin-when-cross-origin')");
+  }
+  
+  // The last recognized value in a comma-separated list wins
+  const policy = value.split(',').map(item => item.trim().toLowerCase()).pop();
+  return ['unsafe-url', 'no-referrer-when-downgrade'].includes(policy)
+    ? check('referrer-policy', title, 'warn', `'${policy}' sends full URLs to other sites`, [`referrer-policy: ${value}`])
+    : check('referrer-policy', title, 'pass', `'${policy}'`, [`referrer-policy: ${value}`]);
+}
+
+/**
+ * Check Permissions-Policy
+ */
+function checkPermissionsPolicy(headers) {
+  const title = 'Permissions-Policy';
+  if (!headers) {
+    return check('permissions-policy', title, 'info', 'Response headers unavailable');
+  }
+  
+  const value = headers['permissions-policy'];
+  return value
+    ? check('permissions-policy', title, 'pass', 'Browser features are restricted', [`permissions-policy: ${value}`])
+    : check('permissions-policy', title, 'warn', 'Header is missing');
+}
+
+/**
+ * Check third-party scripts for Subresource Integrity
+ */
+function checkSRI(pageData) {
+  const title = 'Subresource Integrity';
+  const missing = pageData.thirdPartyScripts.filter(script => !script.integrity);
+  
+  if (pageData.thirdPartyScripts.length === 0) {
+    return check('sri', title, 'pass', 'No third-party scripts');
+  }
+  return missing.length > 0
+    ? check('sri', title, 'warn', `${missing.length} of ${pageData.thirdPartyScripts.length} third-party scripts load without integrity`, missing.map(script => script.url))
+    : check('sri', title, 'pass', 'Every third-party script has an integrity hash');
+}
+
+/**
+ * Check for subresources loaded over HTTP on an HTTPS page
+ */
+function checkMixedContent(pageData) {
+  const title = 'Mixed content';
+  if (pageData.protocol !== 'https:') {
+    return check('mixed-content', title, 'info', pageData.protocol === 'http:'
+      ? 'Page is served over HTTP, so there is no HTTPS page to mix into'
+      : describeNonWebProtocol(pageData.protocol));
+  }
+  
+  const evidence = pageData.mixedContent.map(item => `<${item.tag}> ${item.url}`);
+  if (pageData.mixedContent.some(item => item.active)) {
+    return check('mixed-content', title, 'fail', 'Scripts, stylesheets or frames load over HTTP', evidence);
+  }
+  return pageData.mixedContent.length > 0
+    ? check('mixed-content', title, 'warn', 'Images or media load over HTTP', evidence)
+    : check('mixed-content', title, 'pass', 'All subresources use HTTPS');
+}
+
+/**
+ * Check for forms that submit over HTTP
+ */
+function checkForms(pageData) {
+  const title = 'Form submission';
+  return pageData.insecureForms.length > 0
+    ? check('forms', title, 'fail', `${pageData.insecureForms.length} form(s) submit over HTTP`,
+        pageData.insecureForms.map(form => `${form.method.toUpperCase()} ${form.action}`))
+    : check('forms', title, 'pass', 'No forms submit over HTTP');
+}
+
+/**
+ * Check script-visible cookies for Secure and SameSite. An empty list is never a pass: the cookies
+ * API may have missed what document.cookie shows.
+ */
+function checkCookies(cookieResult, pageData) {
+  const title = 'Script-visible cookies';
+  if (!cookieResult || !cookieResult.cookies) {
+    return check('cookies', title, 'info', cookieResult ? cookieResult.reason : 'Cookie attributes could not be read');
+  }
+  const { cookies } = cookieResult;
+  
+  const weak = cookies.filter(cookie => !cookie.secure || cookie.sameSite === 'unspecified' || cookie.sameSite === 'no_restriction');
+  const describe = cookie => {
+    const missing = [];
+    if (!cookie.secure) missing.push('Secure');
+    if (cookie.sameSite === 'unspecified') missing.push('SameSite');
+    if (cookie.sameSite === 'no_restriction') missing.push('SameSite (set to None)');
+    return `${cookie.name} (${cookie.domain}) lacks ${missing.join(', ')}`;
+  };
+  
+  if (cookies.length === 0) {
+    const names = pageData.cookieNames || [];
+    return names.length > 0
+      ? check('cookies', title, 'info', `The page can read ${names.length} cookie${names.length === 1 ? '' : 's'}, but their attributes could not be read`, names)
+      : check('cookies', title, 'info', 'No cookies are readable by scripts');
+  }
+  return weak.length > 0
+    ? check('cookies', title, 'warn', `${weak.length} of ${cookies.length} script-readable cookies lack Secure or SameSite`, weak.map(describe))
+    : check('cookies', title, 'pass', `${cookies.length} script-readable cookies all set Secure and SameSite`);
+}
+
+/**
+ * Run every security check
+ * @param {Object} pageData - Result of collectSecurityData
+ * @param {Object|null} headerRecord - Document headers from getTabHeaders, or null
+ * @param {Object|null} cookieResult - Result of getScriptCookies, or null when cookies weren't read
+ * @returns {Object[]} Check results of { id, title, status, summary, evidence }
+ */
+export function evaluateSecurity(pageData, headerRecord, cookieResult) {
+  const headers = headerRecord ? headerRecord.headers : null;
+  return [
+    checkCSP(headers, pageData),
+    checkHSTS(headers, pageData),
+    checkFraming(headers),
+    checkReferrerPolicy(headers),
+    checkPermissionsPolicy(headers),
+    checkSRI(pageData),
+    checkMixedContent(pageData),
+    checkForms(pageData),
+    checkCookies(cookieResult, pageData)
+  ];
+}
@@ -0,0 +1,105 @@
+/**
+ * Tech Analyzer Chrome Extension - Settings
+ * Stored preferences for optional features, with defaults and host matching
+ */
+
+/**
+ * Storage key and defaults for background analysis. Background mode is opt-in.
+ * listMode 'allow' analyzes only the listed hosts; 'deny' analyzes every host except them.
+ */
+export const BACKGROUND_SETTINGS_KEY = 'backgroundAnalysis';
+export const DEFAULT_BACKGROUND_SETTINGS = {
+  enabled: false,
+  listMode: 'allow',
+  hosts: []
+};
+
+/**
+ * Checks run by background analysis (everything except debug logging)
+ */
+export const BACKGROUND_ANALYSIS_OPTIONS = {
+  jsFrameworks: true,
+  cssFrameworks: true,
+  styling: true,
+  buildTools: true,
+  services: true,
+  platforms: true,
+  infrastructure: true,
+  security: true,
+  metadata: true,
+  listJS: true,
+  listCSS: true,
+  debugMode: false
+};
+
+/**
+ * Load background analysis settings merged over the defaults
+ * @returns {Promise<Object>} Background analysis settings
+ */
+export async function getBackgroundSettings() {
+  const { [BACKGROUND_SETTINGS_KEY]: stored } = await chrome.storage.local.get(BACKGROUND_SETTINGS_KEY);
+  return { ...DEFAULT_BACKGROUND_SETTINGS, ...stored };
+}
+
+/**
+ * Save background analysis settings
+ * @param {Object} settings - Background analysis settings
+ */
+export async function saveBackgroundSettings(settings) {
+  await chrome.storage.local.set({ [BACKGROUND_SETTINGS_KEY]: settings });
+}
+
+/**
+ * Normalize a user-entered host list (one per line or comma separated)
+ * @param {string} text - Raw host list
+ * @returns {string[]} Lower-case hosts without schemes, paths or blanks
+ */
+export function parseHostList(text) {
+  return text
+    .split(/[\s,]+/)
+    .map(host => host.trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/\/.*$/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Check whether a host matches a list entry. "example.com" and "*.example.com" both match
+ * example.com and any of its subdomains.
+ * @param {string} host - Hostname to check
+ * @param {string} entry - Host list entry
+ * @returns {boolean} True if the host matches
+ */
+function hostMatches(host, entry) {
+  const base = entry.replace(/^\*\./, '');
+  return host === base || host.endsWith(`.${base}`);
+}
+
+/**
+ * Decide whether background analysis may run on a URL
+ * @param {Object} settings - Background analysis settings
+ * @param {string} url - Page URL
+ * @returns {boolean} True if the page should be analyzed
+ */
+export function isHostAllowed(settings, url) {
+  if (!settings.enabled || !/^https?:/.test(url || '')) {
+    return false;
+  }
+  
+  const { hostname } = new URL(url);
+  const listed = settings.hosts.some(entry => hostMatches(hostname, entry));
+  return settings.listMode === 'deny' ? !listed : listed;
+}
+
+/**
+ * Host permission patterns needed for the configured hosts
+ * @param {Object} settings - Background analysis settings
+ * @returns {string[]} Origin patterns for chrome.permissions
+ */
+export function getRequiredOrigins(settings) {
+  if (settings.listMode === 'deny') {
+    return ['<all_urls>'];
+  }
+  return settings.hosts.flatMap(entry => {
+    const base = entry.replace(/^\*\./, '');
+    return [`*://${base}/*`, `*://*.${base}/*`];
+  });
+}
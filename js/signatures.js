@@ -0,0 +1,87 @@
+/**
+ * Tech Analyzer Chrome Extension - Signature Database
+ * Loads the framework signature database shared by the popup and the injected detection engine
+ */
+
+/**
+ * Location of the signature database inside the extension package
+ */
+export const SIGNATURES_PATH = 'data/signatures.json';
+
+/**
+ * Findings key filled by each signature category, in display order
+ */
+export const CATEGORY_FINDINGS = {
+  platforms: 'platforms',
+  js: 'jsFrameworks',
+  css: 'cssFrameworks',
+  styling: 'styling',
+  build: 'buildTools',
+  services: 'services',
+  infrastructure: 'infrastructure'
+};
+
+// Cached load so repeated analyses don't re-read the file
+let signaturesPromise = null;
+
+/**
+ * Load the signature database bundled with the extension
+ * @returns {Promise<Object>} Parsed signature database
+ */
+export function loadSignatures() {
+  if (!signaturesPromise) {
+    signaturesPromise = fetch(chrome.runtime.getURL(SIGNATURES_PATH))
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Could not load signature database (${response.status})`);
+        }
+        return response.json();
+      })
+      .catch(error => {
+        // Allow a later analysis to retry the load
+        signaturesPromise = null;
+        throw error;
+      });
+  }
+  return signaturesPromise;
+}
+
+/**
+ * Collect every global path the signature database references, so the page's
+ * main world can be probed for all of them in one pass
+ * @param {Object} signatures - Parsed signature database
+ * @returns {string[]} Unique dotted global paths
+ */
+export function getGlobalPaths(signatures) {
+  const paths = new Set();
+  
+  Object.values(signatures.categories).forEach(frameworks => {
+    frameworks.forEach(framework => {
+      framework.signals.forEach(signal => {
+        if (signal.type === 'global' && signal.patterns) {
+          signal.patterns.forEach(pattern => paths.add(pattern));
+        }
+        if (signal.globalPaths) {
+          signal.globalPaths.forEach(path => paths.add(path));
+        }
+      });
+      [...(framework.ids || []), ...(framework.components || [])]
+        .filter(extractor => extractor.global)
+        .forEach(extractor => paths.add(extractor.global));
+      if (framework.version && framework.version.globals) {
+        framework.version.globals.forEach(path => paths.add(path));
+      }
+    });
+  });
+  
+  return Array.from(paths);
+}
+
+/**
+ * Every detected technology in a set of findings, across all categories
+ * @param {Object} findings - Findings returned by analyzePage (or stored in history)
+ * @returns {Object[]} Detected findings in category display order
+ */
+export function listDetected(findings) {
+  return Object.values(CATEGORY_FINDINGS).flatMap(key => findings[key] || []);
+}
@@ -0,0 +1,42 @@
+/**
+ * Tech Analyzer Chrome Extension - Tab Results
+ * Per-tab cache of background analysis results in chrome.storage.session, shared by the
+ * service worker (which writes it) and the popup (which opens with it)
+ */
+
+/**
+ * Build the session storage key for a tab
+ * @param {number} tabId - Tab id
+ * @returns {string} Storage key
+ */
+function getTabResultKey(tabId) {
+  return `tabResult:${tabId}`;
+}
+
+/**
+ * Cache the latest analysis of a tab
+ * @param {number} tabId - Tab id
+ * @param {Object} result - url, analyzedAt, options and findings
+ */
+export async function saveTabResult(tabId, result) {
+  await chrome.storage.session.set({ [getTabResultKey(tabId)]: result });
+}
+
+/**
+ * Read the cached analysis of a tab
+ * @param {number} tabId - Tab id
+ * @returns {Promise<Object|null>} Cached result, or null
+ */
+export async function getTabResult(tabId) {
+  const key = getTabResultKey(tabId);
+  const { [key]: result = null } = await chrome.storage.session.get(key);
+  return result;
+}
+
+/**
+ * Drop the cached analysis of a tab
+ * @param {number} tabId - Tab id
+ */
+export async function clearTabResult(tabId) {
+  await chrome.storage.session.remove(getTabResultKey(tabId));
+}
@@ -25,6 +25,43 @@ export function showToast(message = 'Copied to clipboard!', duration = 2000) {
   }, duration);
 }
 
+/**
+ * Escape a string for safe insertion into HTML markup
+ * @param {*} value - Value to escape (converted to a string)
+ * @returns {string} - HTML-escaped string
+ */
+export function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format an ISO timestamp for display in the user's locale
+ * @param {string} isoString - ISO 8601 timestamp
+ * @returns {string} - Localized date and time
+ */
+export function formatTimestamp(isoString) {
+  return new Date(isoString).toLocaleString(undefined, {
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+}
+
+/**
+ * Format a byte count for display, e.g. 1536 -> "1.5 KB"
+ * @param {number} bytes - Byte count
+ * @returns {string} - Human-readable size
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 /**
  * Create a debug logger that conditionally logs based on debug mode
  * @param {boolean} debugMode - Whether debug mode is enabled